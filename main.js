@@ -5,11 +5,23 @@ import cors from "cors";
 import shopifyRoutes from "./routes/shopify.js";
 import adminRoutes from "./routes/admin.js";
 import diyRoutes from "./routes/diy.js";
+import webhookRoutes from "./routes/webhooks.js";
+import orderRoutes from "./routes/orders.js";
+import communityRoutes from "./routes/community.js";
+import { loadStoredSessions } from "./services/shopify.js";
+import { reconcileOwnership } from "./services/ownership.js";
+import { purgeExpiredTrash } from "./services/moderation.js";
 import cookieParser from "cookie-parser";
 
 const app = express();
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+    limit: '50mb',
+    // Keep the raw payload around so webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use(cookieParser());
 
@@ -27,6 +39,46 @@ app.use("/shopify", shopifyRoutes);
 app.use("/admin", adminRoutes);
 // DIY Products API
 app.use("/diy", diyRoutes);
+// Shopify Webhooks
+app.use("/webhook", webhookRoutes);
+// Signed order summaries (order status page / customer account)
+app.use("/order", orderRoutes);
+// Store-wide community feed and leaderboard
+app.use("/community", communityRoutes);
+
+// Restore the persisted Shopify OAuth sessions
+loadStoredSessions()
+    .then(sessions => {
+        if (sessions.length) console.log(`🔑 Loaded stored Shopify sessions for ${sessions.map(s => s.shop).join(", ")}`);
+        else console.log("⚠️ No stored Shopify sessions. Falling back to SHOPIFY_ACCESS_TOKEN.");
+    })
+    .catch(error => console.error("Could not load stored Shopify session:", error));
+
+// Background reconciliation of the ownership index (0 disables it)
+const reconcileMinutes = Number(process.env.OWNERSHIP_RECONCILE_INTERVAL_MINUTES ?? 60);
+if (reconcileMinutes > 0) {
+    setInterval(async () => {
+        try {
+            const stats = await reconcileOwnership();
+            console.log(`🔄 Ownership reconciliation: ${stats.indexed} indexed, ${stats.revalidated} revalidated, ${stats.fixed} fixed`);
+        } catch (error) {
+            console.error("Ownership reconciliation failed:", error);
+        }
+    }, reconcileMinutes * 60 * 1000);
+}
+
+// Permanently delete media left in the trash past its retention window
+const trashPurgeMinutes = Number(process.env.MEDIA_TRASH_PURGE_INTERVAL_MINUTES ?? 60);
+if (trashPurgeMinutes > 0) {
+    setInterval(async () => {
+        try {
+            const stats = await purgeExpiredTrash();
+            if (stats.purged) console.log(`🗑️ Trash purge: ${stats.purged} media deleted, ${stats.assetsNotRemoved} assets not removed`);
+        } catch (error) {
+            console.error("Trash purge failed:", error);
+        }
+    }, trashPurgeMinutes * 60 * 1000);
+}
 
 app.listen(3000, () => {
     console.log("Server started on port 3000");
@@ -36,132 +88,3 @@ app.listen(3000, () => {
 app.get("/", (req, res) => {
     res.send("HOLA DESDE EL SERVIDOR!");
 });
-
-app.get("/order/:id", async (req, res) => {
-    const { id } = req.params;
-
-    try {
-        const order = await prisma.order.findUnique({
-            where: { shopifyId: id },
-            include: {
-                customer: true,
-                items: true
-            }
-        });
-
-        if (!order) {
-            return res.status(404).json({ error: "Order not found" });
-        }
-
-        // Fetch user_media_urls metafield AND product images for each product
-        const { getProductMetafields, getProduct } = await import("./services/shopify.js");
-
-        for (const item of order.items) {
-            if (item.shopifyProductId) {
-                try {
-                    // Fetch product details from Shopify to get the image
-                    const product = await getProduct(item.shopifyProductId);
-
-                    // Add the featured image to the item
-                    if (product && product.image) {
-                        item.image = product.image.src;
-                    } else if (product && product.images && product.images.length > 0) {
-                        item.image = product.images[0].src;
-                    } else {
-                        item.image = null;
-                    }
-
-                    // Fetch approved community media from DB
-                    const approvedMedia = await prisma.media.findMany({
-                        where: {
-                            shopifyProductId: String(item.shopifyProductId),
-                            approved: true
-                        },
-                        select: { url: true, type: true }
-                    });
-
-                    item.user_media_urls = approvedMedia.map(m => ({
-                        url: m.url,
-                        type: m.type
-                    }));
-
-                } catch (e) {
-                    console.warn(`Could not fetch data for product ${item.shopifyProductId}:`, e);
-                    item.image = null;
-                    item.user_media_urls = [];
-                }
-            }
-        }
-
-        res.json(order);
-    } catch (error) {
-        console.error("Error fetching order:", error);
-        res.status(500).json({ error: "Internal Server Error" });
-    }
-});
-
-
-// Use centralized db connection
-import prisma from "./db.js";
-
-app.post("/webhook/newPaidOrder", async (req, res) => {
-    console.log("Webhook received");
-    const body = req.body;
-
-    if (!body || Object.keys(body).length === 0) {
-        console.error("Empty webhook body received");
-        return res.status(400).json({ error: "Empty body" });
-    }
-
-    const { id, total_price, currency, customer, line_items, total_price_set } = body;
-
-    try {
-        // 1. Upsert Customer
-        const savedCustomer = await prisma.customer.upsert({
-            where: { shopifyId: String(customer.id) },
-            update: {
-                firstName: customer.first_name,
-                lastName: customer.last_name,
-                email: customer.email,
-            },
-            create: {
-                shopifyId: String(customer.id),
-                firstName: customer.first_name,
-                lastName: customer.last_name,
-                email: customer.email,
-            },
-        });
-
-        // 2. Create Order
-        const savedOrder = await prisma.order.create({
-            data: {
-                shopifyId: String(id),
-                totalPrice: total_price,
-                currency: currency || total_price_set?.shop_money?.currency_code || "MXN",
-                customerId: savedCustomer.id,
-            },
-        });
-
-        // 3. Process Line Items (Split by Quantity)
-        for (const item of line_items) {
-            const quantity = item.quantity || item.current_quantity || 1;
-
-            for (let i = 0; i < quantity; i++) {
-                await prisma.purchasedItem.create({
-                    data: {
-                        name: item.title || item.name,
-                        shopifyProductId: String(item.product_id),
-                        price: item.price,
-                        orderId: savedOrder.id,
-                    },
-                });
-            }
-        }
-
-        console.log(`Order ${savedOrder.id} processed successfully.`);
-        res.json({ message: "Order processed" });
-    } catch (error) {
-        console.error("Error processing webhook:", error);
-        res.status(500).json({ error: "Internal Server Error" });
-    }
-});
\ No newline at end of file
@@ -2,10 +2,37 @@ import { Router } from "express";
 import prisma from "../db.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import multer from "multer";
+import { getRevenueSummary, getRevenueByPeriod, getTopProducts } from "../services/revenue.js";
+import { getThrottleMetrics } from "../services/throttling.js";
+import {
+    MEDIA_STATUS,
+    BULK_MODERATION_LIMIT,
+    parseMediaStatus,
+    setMediaStatus,
+    bulkModerate,
+    trashMedia,
+    restoreMedia,
+    purgeMedia,
+    replaceMediaFile,
+    trashExpiresAt,
+    TRASH_RETENTION_DAYS,
+} from "../services/moderation.js";
+import { setCommentStatus } from "../services/comments.js";
+import { REPORT_STATUS, REPORT_HIDE_THRESHOLD, isAutoHidden, reviewReports } from "../services/reports.js";
 
 const router = Router();
+const upload = multer({ storage: multer.memoryStorage() });
 const JWT_SECRET = process.env.JWT_SECRET || "super-secret-key-change-this";
 
+// Names, emails, captions and line item properties come from customers: never render them as HTML
+const escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 // Middleware to protect routes
 const requireAuth = async (req, res, next) => {
     const token = req.cookies.admin_token;
@@ -148,22 +175,217 @@ router.get("/setup-admin", async (req, res) => {
 });
 
 
-// Toggle Approval Status (Protected)
-router.post("/toggle-approval/:id", requireAuth, async (req, res) => {
+// Set Moderation Status (Protected)
+// POST /admin/media/:id/status { status: "approved" | "rejected" | "hidden" | "pending", reason }
+router.post("/media/:id/status", requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const status = parseMediaStatus(req.body.status);
+        const reason = req.body.reason;
+
+        if (!status) {
+            return res.status(400).json({ error: `status must be one of: ${Object.values(MEDIA_STATUS).join(", ").toLowerCase()}` });
+        }
+        if (status === MEDIA_STATUS.REJECTED && !reason?.trim()) {
+            return res.status(400).json({ error: "A rejection reason is required" });
+        }
+
+        const media = await prisma.media.findUnique({ where: { id } });
+        if (!media) return res.status(404).json({ error: "Media not found" });
+
+        const updated = await setMediaStatus(id, status, { adminId: req.adminId, reason });
+
+        res.json({
+            success: true,
+            status: updated.status,
+            rejectionReason: updated.rejectionReason,
+            moderatedAt: updated.moderatedAt
+        });
+    } catch (error) {
+        console.error("Moderation Error:", error);
+        res.status(500).json({ error: "Internal Error" });
+    }
+});
+
+// Shopify API Throttling Metrics per Shop (Protected)
+// GET /admin/status/throttling
+router.get("/status/throttling", requireAuth, (req, res) => {
+    res.json({ shops: getThrottleMetrics() });
+});
+
+// Revenue Aggregates (Protected)
+// GET /admin/revenue?startDate=2024-01-01&endDate=2024-12-31&shop=...&period=day|week|month&limit=10
+router.get("/revenue", requireAuth, async (req, res) => {
+    try {
+        const { startDate, endDate, shop, period, limit } = req.query;
+        const filters = {
+            shop,
+            from: parseDateParam(startDate),
+            to: parseDateParam(endDate, true),
+        };
+
+        if ((startDate && !filters.from) || (endDate && !filters.to)) {
+            return res.status(400).json({ error: "startDate and endDate must be dates (YYYY-MM-DD)" });
+        }
+
+        if (period && !["day", "week", "month"].includes(period)) {
+            return res.status(400).json({ error: "period must be day, week or month" });
+        }
+
+        const [summary, byPeriod, topProducts] = await Promise.all([
+            getRevenueSummary(filters),
+            getRevenueByPeriod({ ...filters, period }),
+            getTopProducts({ ...filters, limit: Math.min(Number(limit) || 10, 100) }),
+        ]);
+
+        res.json({ summary, byPeriod, topProducts });
+    } catch (error) {
+        console.error("Revenue Error:", error);
+        res.status(500).json({ error: "Internal Error" });
+    }
+});
+
+// Bulk Moderation (Protected)
+// POST /admin/media/bulk { ids: [...], action: "approve" | "reject" | "hide" | "trash" | "delete", reason }
+router.post("/media/bulk", requireAuth, async (req, res) => {
+    try {
+        const { ids, action, reason } = req.body;
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ error: "ids must be a non-empty array" });
+        }
+        if (ids.length > BULK_MODERATION_LIMIT) {
+            return res.status(400).json({ error: `At most ${BULK_MODERATION_LIMIT} media per request` });
+        }
+        if (!["approve", "reject", "hide", "trash", "delete"].includes(action)) {
+            return res.status(400).json({ error: "action must be approve, reject, hide, trash or delete" });
+        }
+        if (action === "reject" && !reason?.trim()) {
+            return res.status(400).json({ error: "A rejection reason is required" });
+        }
+
+        const results = await bulkModerate(ids.map(String), action, { adminId: req.adminId, reason });
+        console.log(`🧹 Bulk ${action}: ${results.succeeded.length} ok, ${results.failed.length} failed, ${results.assetsNotRemoved.length} assets not removed`);
+
+        res.json({ success: results.failed.length === 0, action, ...results });
+    } catch (error) {
+        console.error("Bulk Moderation Error:", error);
+        res.status(500).json({ error: "Internal Error" });
+    }
+});
+
+// Delete Media (Protected)
+// DELETE /admin/media/:id            → move to the trash
+// DELETE /admin/media/:id?permanent=1 → delete row, likes and Cloudinary asset now
+router.delete("/media/:id", requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const media = await prisma.media.findUnique({ where: { id } });
+        if (!media) return res.status(404).json({ error: "Media not found" });
+
+        if (req.query.permanent) {
+            const result = await purgeMedia(id);
+            // Purged in the meantime (e.g. by the trash purge)
+            if (!result) return res.status(404).json({ error: "Media not found" });
+            console.log(`🗑️ Media ${id} deleted permanently${result.assetRemoved ? "" : " (Cloudinary asset not removed)"}`);
+            return res.json({ success: true, permanent: true, assetRemoved: result.assetRemoved });
+        }
+
+        const trashed = await trashMedia(id, req.adminId);
+        res.json({ success: true, permanent: false, restorableUntil: trashExpiresAt(trashed) });
+    } catch (error) {
+        console.error("Delete Media Error:", error);
+        res.status(500).json({ error: "Internal Error" });
+    }
+});
+
+// Restore Media From Trash (Protected)
+router.post("/media/:id/restore", requireAuth, async (req, res) => {
     try {
         const { id } = req.params;
         const media = await prisma.media.findUnique({ where: { id } });
 
         if (!media) return res.status(404).json({ error: "Media not found" });
+        if (!media.deletedAt) return res.status(400).json({ error: "Media is not in the trash" });
+        if (trashExpiresAt(media) < new Date()) {
+            return res.status(410).json({ error: `Retention window of ${TRASH_RETENTION_DAYS} days has passed` });
+        }
+
+        await restoreMedia(id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Restore Media Error:", error);
+        res.status(500).json({ error: "Internal Error" });
+    }
+});
+
+// Replace Media File (Protected)
+// POST /admin/media/:id/replace (multipart/form-data, field: file)
+router.post("/media/:id/replace", requireAuth, upload.single("file"), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!req.file) return res.status(400).json({ error: "No file uploaded." });
 
-        const updated = await prisma.media.update({
-            where: { id },
-            data: { approved: !media.approved }
+        const result = await replaceMediaFile(id, req.file.buffer);
+        if (!result) return res.status(404).json({ error: "Media not found" });
+
+        res.json({
+            success: true,
+            url: result.media.url,
+            type: result.media.type,
+            oldAssetRemoved: result.oldAssetRemoved
         });
+    } catch (error) {
+        console.error("Replace Media Error:", error);
+        res.status(500).json({ error: "Internal Error" });
+    }
+});
+
+// Set Comment Moderation Status (Protected)
+// POST /admin/comments/:id/status { status: "approved" | "rejected" | "hidden" | "pending", reason }
+router.post("/comments/:id/status", requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const status = parseMediaStatus(req.body.status);
+        const reason = req.body.reason;
+
+        if (!status) {
+            return res.status(400).json({ error: `status must be one of: ${Object.values(MEDIA_STATUS).join(", ").toLowerCase()}` });
+        }
+        if (status === MEDIA_STATUS.REJECTED && !reason?.trim()) {
+            return res.status(400).json({ error: "A rejection reason is required" });
+        }
+
+        const comment = await prisma.comment.findUnique({ where: { id } });
+        if (!comment) return res.status(404).json({ error: "Comment not found" });
+
+        const updated = await setCommentStatus(id, status, { adminId: req.adminId, reason });
+        res.json({ success: true, status: updated.status });
+    } catch (error) {
+        console.error("Comment Moderation Error:", error);
+        res.status(500).json({ error: "Internal Error" });
+    }
+});
+
+// Review Reported Media (Protected)
+// POST /admin/media/:id/reports/review { action: "dismiss" | "hide" | "reject" | "trash", reason }
+router.post("/media/:id/reports/review", requireAuth, async (req, res) => {
+    try {
+        const { action, reason } = req.body;
+
+        if (!["dismiss", "hide", "reject", "trash"].includes(action)) {
+            return res.status(400).json({ error: "action must be one of: dismiss, hide, reject, trash" });
+        }
+        if (action === "reject" && !reason?.trim()) {
+            return res.status(400).json({ error: "A rejection reason is required" });
+        }
+
+        const result = await reviewReports(req.params.id, action, { adminId: req.adminId, reason });
+        if (!result) return res.status(404).json({ error: "Media not found" });
 
-        res.json({ success: true, approved: updated.approved });
+        res.json({ success: true, resolved: result.resolved, status: result.media.status });
     } catch (error) {
-        console.error("Toggle Error:", error);
+        console.error("Report Review Error:", error);
         res.status(500).json({ error: "Internal Error" });
     }
 });
@@ -174,26 +396,23 @@ router.get("/", requireAuth, async (req, res) => {
         // ... (existing filter logic)
         const { status, startDate, endDate } = req.query;
 
-        // Build Filter Query
-        const where = {};
-        if (status === 'approved') where.approved = true;
-        if (status === 'pending') where.approved = false;
+        // Build Filter Query (pending by default, trash has its own page)
+        // One card per post: its cover, moderated together with the other files
+        const where = { deletedAt: null, position: 0 };
+        const statusFilter = status === 'all' ? null : parseMediaStatus(status || 'pending');
+        if (statusFilter) where.status = statusFilter;
 
-        if (startDate || endDate) {
-            where.createdAt = {};
-            if (startDate) where.createdAt.gte = new Date(startDate);
-            if (endDate) where.createdAt.lte = new Date(endDate + "T23:59:59");
-        }
+        const createdAt = dateRange(startDate, endDate);
+        if (createdAt) where.createdAt = createdAt;
 
         const media = await prisma.media.findMany({
             where,
-            orderBy: [
-                { approved: 'asc' }, // Pending (false) first
-                { createdAt: 'desc' }
-            ],
+            orderBy: { createdAt: 'desc' },
             include: {
                 product: true,
-                customer: true
+                customer: true,
+                moderatedBy: { select: { email: true } },
+                post: { include: { media: { orderBy: { position: 'asc' }, select: { id: true, url: true, type: true } } } }
             }
         });
 
@@ -223,18 +442,38 @@ router.get("/", requireAuth, async (req, res) => {
 
                 .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 20px; }
                 .card { background: #222; border-radius: 8px; overflow: hidden; border: 1px solid #333; transition: all 0.2s; position: relative; }
-                .card.approved { border-color: #2ecc71; box-shadow: 0 0 10px rgba(46, 204, 113, 0.2); }
+                .card.APPROVED { border-color: #2ecc71; box-shadow: 0 0 10px rgba(46, 204, 113, 0.2); }
+                .card.REJECTED { border-color: #e74c3c; }
+                .card.HIDDEN { opacity: 0.6; }
                 .media-container { height: 250px; overflow: hidden; position: relative; background: #000; }
                 img, video { width: 100%; height: 100%; object-fit: cover; }
                 .info { padding: 15px; font-size: 14px; }
                 .meta { color: #888; margin-bottom: 5px; }
                 .user { color: #fff; font-weight: bold; }
                 .product { color: #aaa; font-size: 12px; margin-top: 5px; }
+                .caption { color: #ddd; margin-top: 8px; white-space: pre-wrap; }
+                .tags { color: #60a5fa; font-size: 12px; margin-top: 4px; }
+                .post-files { display: flex; gap: 4px; margin-top: 8px; overflow-x: auto; }
+                .post-files img, .post-files video { width: 40px; height: 40px; flex: none; border-radius: 3px; }
                 .type-badge { position: absolute; top: 10px; right: 10px; background: rgba(0,0,0,0.7); color: #fff; padding: 2px 6px; border-radius: 4px; font-size: 10px; text-transform: uppercase; }
                 .actions { padding: 10px 15px; border-top: 1px solid #333; display: flex; justify-content: space-between; align-items: center; }
                 .status-badge { padding: 4px 8px; border-radius: 4px; font-size: 12px; font-weight: bold; }
                 .status-pending { background: #f39c12; color: #000; }
                 .status-approved { background: #2ecc71; color: #fff; }
+                .status-rejected { background: #e74c3c; color: #fff; }
+                .status-hidden { background: #555; color: #fff; }
+                .moderation { color: #888; font-size: 12px; margin-top: 5px; }
+                .moderation .reason { color: #e74c3c; }
+                .action-btns { display: flex; gap: 6px; }
+
+                .card.selected { outline: 3px solid #007bff; }
+                .card.focused { box-shadow: 0 0 0 3px #f39c12; }
+                .select-box { position: absolute; top: 10px; left: 10px; z-index: 2; width: 20px; height: 20px; cursor: pointer; }
+                .bulk-bar { position: sticky; top: 0; z-index: 10; background: #1a1a1a; border: 1px solid #333; border-radius: 8px; padding: 10px 15px; margin-bottom: 20px; display: flex; gap: 10px; align-items: center; flex-wrap: wrap; }
+                .bulk-bar .count { font-weight: bold; margin-right: 10px; }
+                .bulk-bar button.danger { background: #c0392b; }
+                .bulk-bar .hint { color: #666; font-size: 12px; margin-left: auto; }
+                kbd { background: #333; border-radius: 3px; padding: 1px 5px; font-size: 11px; }
                 button { cursor: pointer; padding: 6px 12px; border: none; border-radius: 4px; background: #333; color: #fff; transition: background 0.2s; }
                 button:hover { background: #444; }
                 button.toggle-btn { background: #007bff; }
@@ -246,6 +485,11 @@ router.get("/", requireAuth, async (req, res) => {
                 <h1>📸 Community Uploads (${media.length})</h1>
                 <nav style="display:flex;gap:12px;align-items:center;">
                     <a href="/admin" style="color:#60a5fa;text-decoration:none;padding:6px 12px;border:1px solid #60a5fa;border-radius:4px;font-size:14px;">Media</a>
+                    <a href="/admin/comments" style="color:#aaa;text-decoration:none;padding:6px 12px;border:1px solid #444;border-radius:4px;font-size:14px;transition:all 0.2s;">💬 Comments</a>
+                    <a href="/admin/reports" style="color:#aaa;text-decoration:none;padding:6px 12px;border:1px solid #444;border-radius:4px;font-size:14px;transition:all 0.2s;">🚩 Reports</a>
+                    <a href="/admin/orders" style="color:#aaa;text-decoration:none;padding:6px 12px;border:1px solid #444;border-radius:4px;font-size:14px;transition:all 0.2s;">🧾 Orders</a>
+                    <a href="/admin/customers" style="color:#aaa;text-decoration:none;padding:6px 12px;border:1px solid #444;border-radius:4px;font-size:14px;transition:all 0.2s;">👥 Customers</a>
+                    <a href="/admin/trash" style="color:#aaa;text-decoration:none;padding:6px 12px;border:1px solid #444;border-radius:4px;font-size:14px;transition:all 0.2s;">🗑️ Trash</a>
                     <a href="/admin/diy" style="color:#aaa;text-decoration:none;padding:6px 12px;border:1px solid #444;border-radius:4px;font-size:14px;transition:all 0.2s;">🧶 DIY</a>
                     <a href="/admin/logout" class="logout-btn">Logout</a>
                 </nav>
@@ -258,15 +502,17 @@ router.get("/", requireAuth, async (req, res) => {
                         <option value="all" ${status === 'all' ? 'selected' : ''}>All Status</option>
                         <option value="pending" ${status === 'pending' || !status ? 'selected' : ''}>Pending</option>
                         <option value="approved" ${status === 'approved' ? 'selected' : ''}>Approved</option>
+                        <option value="rejected" ${status === 'rejected' ? 'selected' : ''}>Rejected</option>
+                        <option value="hidden" ${status === 'hidden' ? 'selected' : ''}>Hidden</option>
                     </select>
                 </div>
                 <div class="filter-group">
                     <label>Start Date</label>
-                    <input type="date" name="startDate" value="${startDate || ''}">
+                    <input type="date" name="startDate" value="${escapeHtml(startDate)}">
                 </div>
                 <div class="filter-group">
                     <label>End Date</label>
-                    <input type="date" name="endDate" value="${endDate || ''}">
+                    <input type="date" name="endDate" value="${escapeHtml(endDate)}">
                 </div>
                 <div class="filter-group">
                     <label>&nbsp;</label>
@@ -275,10 +521,25 @@ router.get("/", requireAuth, async (req, res) => {
                 <a href="/admin" class="reset-btn">Reset</a>
             </form>
 
+            <div class="bulk-bar">
+                <span class="count" id="selected-count">0 selected</span>
+                <button onclick="selectAll()">Select all</button>
+                <button onclick="clearSelection()">Clear</button>
+                <button class="toggle-btn" onclick="bulkAction('approve')">Approve</button>
+                <button onclick="bulkAction('reject')">Reject</button>
+                <button onclick="bulkAction('hide')">Hide</button>
+                <button class="danger" onclick="bulkAction('trash')">Trash</button>
+                <span class="hint">
+                    <kbd>j</kbd>/<kbd>k</kbd> move · <kbd>x</kbd> select · <kbd>Shift</kbd>+<kbd>A</kbd> all ·
+                    <kbd>a</kbd> approve · <kbd>r</kbd> reject · <kbd>h</kbd> hide · <kbd>Del</kbd> trash · <kbd>Esc</kbd> clear
+                </span>
+            </div>
+
             <div class="grid">
                 ${media.map(item => `
-                    <div class="card ${item.approved ? 'approved' : ''}" id="card-${item.id}">
+                    <div class="card ${item.status}" id="card-${item.id}" data-id="${item.id}">
                         <div class="media-container">
+                            <input type="checkbox" class="select-box" onchange="toggleSelect('${item.id}', this.checked)">
                             <span class="type-badge">${item.type}</span>
                             ${item.type === 'VIDEO' ?
                 `<video src="${item.url}" controls muted></video>` :
@@ -289,60 +550,216 @@ router.get("/", requireAuth, async (req, res) => {
                             <div class="meta">${new Date(item.createdAt).toLocaleString()}</div>
                             <div class="user">${item.customer ? (item.customer.firstName || 'Customer') : 'Anonymous'}</div>
                             <div class="product">Product: ${item.product ? item.product.name : item.shopifyProductId}</div>
+                            ${item.caption ? `<div class="caption">${escapeHtml(item.caption)}</div>` : ''}
+                            ${item.tags.length ? `<div class="tags">${item.tags.map(t => `#${escapeHtml(t)}`).join(' ')}</div>` : ''}
+                            ${item.post ? `
+                            <div class="meta" style="margin-top:8px;">📚 Post of ${item.post.media.length} files</div>
+                            <div class="post-files">
+                                ${item.post.media.map(file => file.type === 'VIDEO'
+                                    ? `<video src="${escapeHtml(file.url)}" muted></video>`
+                                    : `<a href="${escapeHtml(file.url)}" target="_blank"><img src="${escapeHtml(file.url)}" loading="lazy" /></a>`).join('')}
+                            </div>` : ''}
                             <div style="margin-top:5px; font-family:monospace; font-size:10px; color:#555;">ID: ${item.id}</div>
+                            <div class="moderation" id="moderation-${item.id}">
+                                ${item.moderatedAt ? `${item.status.toLowerCase()} ${new Date(item.moderatedAt).toLocaleString()}${item.moderatedBy ? ` by ${escapeHtml(item.moderatedBy.email)}` : ''}` : ''}
+                                ${item.rejectionReason ? `<div class="reason">Reason: ${escapeHtml(item.rejectionReason)}</div>` : ''}
+                            </div>
                         </div>
                         <div class="actions">
-                            <span class="status-badge ${item.approved ? 'status-approved' : 'status-pending'}" id="status-${item.id}">
-                                ${item.approved ? 'APPROVED' : 'PENDING'}
+                            <span class="status-badge status-${item.status.toLowerCase()}" id="status-${item.id}">
+                                ${item.status}
                             </span>
-                            <button class="toggle-btn" onclick="toggleApproval('${item.id}')">
-                                ${item.approved ? 'Reject' : 'Approve'}
-                            </button>
+                            <div class="action-btns">
+                                <button class="toggle-btn" onclick="setStatus('${item.id}', 'approved')" ${item.status === 'APPROVED' ? 'disabled' : ''}>Approve</button>
+                                <button onclick="setStatus('${item.id}', 'rejected')" ${item.status === 'REJECTED' ? 'disabled' : ''}>Reject</button>
+                                <button onclick="setStatus('${item.id}', 'hidden')" ${item.status === 'HIDDEN' ? 'disabled' : ''}>Hide</button>
+                                <button onclick="replaceFile('${item.id}')" title="Replace file">⟳</button>
+                                <button onclick="trashMedia('${item.id}')" title="Move to trash">🗑️</button>
+                            </div>
                         </div>
                     </div>
                 `).join('')}
             </div>
 
             <script>
-                async function toggleApproval(id) {
+                const selected = new Set();
+                let focusedIndex = -1;
+                const cards = () => Array.from(document.querySelectorAll('.card'));
+
+                function renderSelection() {
+                    cards().forEach(card => {
+                        const isSelected = selected.has(card.dataset.id);
+                        card.classList.toggle('selected', isSelected);
+                        card.querySelector('.select-box').checked = isSelected;
+                    });
+                    document.getElementById('selected-count').textContent = \`\${selected.size} selected\`;
+                }
+
+                function toggleSelect(id, checked) {
+                    if (checked ?? !selected.has(id)) selected.add(id);
+                    else selected.delete(id);
+                    renderSelection();
+                }
+
+                function selectAll() {
+                    cards().forEach(card => selected.add(card.dataset.id));
+                    renderSelection();
+                }
+
+                function clearSelection() {
+                    selected.clear();
+                    renderSelection();
+                }
+
+                function focusCard(index) {
+                    const all = cards();
+                    if (all.length === 0) return;
+                    focusedIndex = Math.max(0, Math.min(index, all.length - 1));
+                    all.forEach((card, i) => card.classList.toggle('focused', i === focusedIndex));
+                    all[focusedIndex].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+                }
+
+                // Shortcuts act on the selection, or on the focused card when nothing is selected
+                function targetIds() {
+                    if (selected.size > 0) return Array.from(selected);
+                    const card = cards()[focusedIndex];
+                    return card ? [card.dataset.id] : [];
+                }
+
+                async function bulkAction(action) {
+                    const ids = targetIds();
+                    if (ids.length === 0) return alert('Select media first');
+
+                    let reason;
+                    if (action === 'reject') {
+                        reason = prompt(\`Reason for rejecting \${ids.length} item(s) (shown to the customers):\`);
+                        if (!reason) return;
+                    }
+                    if (action === 'trash' && !confirm(\`Move \${ids.length} item(s) to the trash?\`)) return;
+
                     try {
-                        const btn = document.querySelector(\`#card-\${id} .toggle-btn\`);
-                        const originalText = btn.textContent;
-                        btn.textContent = '...';
-                        btn.disabled = true;
+                        const response = await fetch('/admin/media/bulk', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ ids, action, reason })
+                        });
+                        if (response.redirected) {
+                            window.location.href = '/admin/login';
+                            return;
+                        }
+                        const data = await response.json();
+                        if (data.error) return alert('Error: ' + data.error);
+
+                        const messages = [\`\${data.succeeded.length} item(s) updated.\`];
+                        if (data.failed.length) {
+                            messages.push(\`\${data.failed.length} failed:\`);
+                            data.failed.forEach(f => messages.push(\`- \${f.id}: \${f.error}\`));
+                        }
+                        if (data.failed.length) alert(messages.join('\\n'));
+
+                        window.location.reload();
+                    } catch (e) {
+                        console.error(e);
+                        alert('Network Error');
+                    }
+                }
+
+                document.addEventListener('keydown', (event) => {
+                    if (event.target.matches('input, select, textarea') || event.metaKey || event.ctrlKey || event.altKey) return;
+
+                    switch (event.key) {
+                        case 'j': focusCard(focusedIndex + 1); break;
+                        case 'k': focusCard(focusedIndex - 1); break;
+                        case 'x': {
+                            const card = cards()[focusedIndex];
+                            if (card) toggleSelect(card.dataset.id);
+                            break;
+                        }
+                        case 'A': selectAll(); break;
+                        case 'a': bulkAction('approve'); break;
+                        case 'r': bulkAction('reject'); break;
+                        case 'h': bulkAction('hide'); break;
+                        case 'Delete':
+                        case 'Backspace': bulkAction('trash'); break;
+                        case 'Escape': clearSelection(); break;
+                        default: return;
+                    }
+                    event.preventDefault();
+                });
+
+                async function trashMedia(id) {
+                    if (!confirm('Move this upload to the trash?')) return;
+                    const response = await fetch(\`/admin/media/\${id}\`, { method: 'DELETE' });
+                    const data = await response.json().catch(() => ({}));
+                    if (data.success) document.getElementById(\`card-\${id}\`).remove();
+                    else alert('Error: ' + (data.error || 'Unknown'));
+                }
 
-                        const response = await fetch(\`/admin/toggle-approval/\${id}\`, { method: 'POST' });
+                function replaceFile(id) {
+                    const input = document.createElement('input');
+                    input.type = 'file';
+                    input.accept = 'image/*,video/*';
+                    input.onchange = async () => {
+                        if (!input.files.length) return;
+                        const formData = new FormData();
+                        formData.append('file', input.files[0]);
+
+                        const response = await fetch(\`/admin/media/\${id}/replace\`, { method: 'POST', body: formData });
+                        const data = await response.json().catch(() => ({}));
+                        if (data.success) window.location.reload();
+                        else alert('Error: ' + (data.error || 'Unknown'));
+                    };
+                    input.click();
+                }
+
+                async function setStatus(id, status) {
+                    let reason;
+                    if (status === 'rejected') {
+                        reason = prompt('Reason for rejection (shown to the customer):');
+                        if (!reason) return;
+                    }
+
+                    const buttons = document.querySelectorAll(\`#card-\${id} .action-btns button\`);
+                    buttons.forEach(b => b.disabled = true);
+
+                    try {
+                        const response = await fetch(\`/admin/media/\${id}/status\`, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ status, reason })
+                        });
+                        if (response.redirected) {
+                            window.location.href = '/admin/login';
+                            return;
+                        }
                         const data = await response.json();
 
                         if (data.success) {
                             const card = document.getElementById(\`card-\${id}\`);
                             const statusBadge = document.getElementById(\`status-\${id}\`);
-                            
-                            if (data.approved) {
-                                card.classList.add('approved');
-                                statusBadge.className = 'status-badge status-approved';
-                                statusBadge.textContent = 'APPROVED';
-                                btn.textContent = 'Reject';
-                            } else {
-                                card.classList.remove('approved');
-                                statusBadge.className = 'status-badge status-pending';
-                                statusBadge.textContent = 'PENDING';
-                                btn.textContent = 'Approve';
+                            const moderation = document.getElementById(\`moderation-\${id}\`);
+
+                            card.className = \`card \${data.status}\`;
+                            statusBadge.className = \`status-badge status-\${data.status.toLowerCase()}\`;
+                            statusBadge.textContent = data.status;
+                            moderation.textContent = \`\${data.status.toLowerCase()} just now\`;
+                            if (data.rejectionReason) {
+                                const reasonEl = document.createElement('div');
+                                reasonEl.className = 'reason';
+                                reasonEl.textContent = 'Reason: ' + data.rejectionReason;
+                                moderation.appendChild(reasonEl);
                             }
                         } else {
-                            if (data.error && data.error.includes('login')) {
-                                window.location.href = '/admin/login';
-                            } else {
-                                alert('Error updating status');
-                                btn.textContent = originalText;
-                            }
+                            alert('Error updating status: ' + (data.error || 'Unknown'));
                         }
                     } catch (e) {
                         console.error(e);
                         alert('Network Error');
                     } finally {
-                        const btn = document.querySelector(\`#card-\${id} .toggle-btn\`);
-                        if (btn) btn.disabled = false;
+                        const current = document.getElementById(\`status-\${id}\`).textContent.trim();
+                        buttons.forEach(b => {
+                            b.disabled = b.getAttribute('onclick').includes(\`'\${current.toLowerCase()}'\`);
+                        });
                     }
                 }
             </script>
@@ -436,6 +853,11 @@ router.get("/diy", requireAuth, async (req, res) => {
                 <h1>🧶 DIY Products</h1>
                 <nav>
                     <a href="/admin">Media</a>
+                    <a href="/admin/comments">Comments</a>
+                    <a href="/admin/reports">Reports</a>
+                    <a href="/admin/orders">Orders</a>
+                    <a href="/admin/customers">Customers</a>
+                    <a href="/admin/trash">Trash</a>
                     <a href="/admin/diy" class="active">DIY</a>
                     <a href="/admin/logout">Logout</a>
                 </nav>
@@ -1163,4 +1585,762 @@ router.get("/diy/edit/:id", requireAuth, async (req, res) => {
     }
 });
 
+// ══════════════════════════════════════
+// Orders & Customers
+// ══════════════════════════════════════
+const ADMIN_PAGE_SIZE = 25;
+
+const formatMoney = (amount, currency) => amount == null ? "—" : `${Number(amount).toFixed(2)} ${currency || ""}`;
+
+const formatDate = (date) => date ? new Date(date).toLocaleString() : "—";
+
+function customerName(customer) {
+    if (!customer) return "—";
+    if (customer.redactedAt) return "Redacted customer";
+    return [customer.firstName, customer.lastName].filter(Boolean).join(" ") || customer.email;
+}
+
+// Trimmed search term; repeated parameters (?q=a&q=b) arrive as arrays and are ignored
+function queryText(value) {
+    return typeof value === "string" ? value.trim() : "";
+}
+
+// Start (or end) of a YYYY-MM-DD filter day in UTC; undefined when missing or invalid
+function parseDateParam(value, endOfDay = false) {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+    const date = new Date(endOfDay ? value + "T23:59:59.999Z" : value);
+    return isNaN(date) ? undefined : date;
+}
+
+// createdAt filter of the list pages; invalid dates are ignored
+function dateRange(startDate, endDate) {
+    const gte = parseDateParam(startDate);
+    const lte = parseDateParam(endDate, true);
+    if (!gte && !lte) return undefined;
+    return { gte, lte };
+}
+
+// Line items matching a product name, SKU, product ID or variant ID
+function itemSearch(term) {
+    return {
+        OR: [
+            { name: { contains: term, mode: "insensitive" } },
+            { sku: { contains: term, mode: "insensitive" } },
+            { shopifyProductId: term },
+            { shopifyVariantId: term },
+        ],
+    };
+}
+
+function pagination(path, query, page, total) {
+    const pages = Math.max(1, Math.ceil(total / ADMIN_PAGE_SIZE));
+    const params = Object.fromEntries(Object.entries(query).filter(([key, value]) => key !== "page" && value));
+    const link = (p) => escapeHtml(`${path}?${new URLSearchParams({ ...params, page: p })}`);
+
+    return `
+        <div class="pagination">
+            ${page > 1 ? `<a href="${link(page - 1)}">← Prev</a>` : ""}
+            <span>Page ${page} of ${pages} · ${total} results</span>
+            ${page < pages ? `<a href="${link(page + 1)}">Next →</a>` : ""}
+        </div>
+    `;
+}
+
+function itemSummary(item) {
+    const variant = item.variantTitle ? ` (${escapeHtml(item.variantTitle)})` : "";
+    const refunded = item.refunded
+        ? ` <span class="badge badge-refunded">refunded</span>`
+        : item.refundedQuantity > 0 ? ` <span class="badge badge-refunded">${item.refundedQuantity} refunded</span>` : "";
+    return `${escapeHtml(item.name)}${variant} × ${item.quantity}${refunded}`;
+}
+
+function adminPage({ title, active, body }) {
+    const navLink = (href, label, key) => `<a href="${href}" class="${active === key ? "active" : ""}">${label}</a>`;
+
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Hooked Admin — ${escapeHtml(title)}</title>
+        <style>
+            * { box-sizing: border-box; margin: 0; padding: 0; }
+            body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; background: #0a0a0a; color: #e0e0e0; padding: 20px; }
+            a { color: #60a5fa; }
+
+            header { display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid #222; padding-bottom: 16px; margin-bottom: 28px; }
+            header h1 { font-size: 1.5rem; }
+            header nav { display: flex; gap: 12px; align-items: center; }
+            header nav a { color: #888; text-decoration: none; font-size: 14px; padding: 6px 12px; border: 1px solid #333; border-radius: 6px; transition: all 0.2s; }
+            header nav a:hover { color: #fff; border-color: #555; background: #1a1a1a; }
+            header nav a.active { color: #60a5fa; border-color: #60a5fa; }
+
+            .filters { background: #141414; padding: 15px; border-radius: 8px; margin-bottom: 20px; display: flex; gap: 15px; align-items: end; flex-wrap: wrap; border: 1px solid #222; }
+            .filter-group { display: flex; flex-direction: column; gap: 5px; }
+            .filter-group label { font-size: 12px; color: #888; }
+            .filters select, .filters input, .filters button { padding: 8px 12px; border-radius: 4px; border: 1px solid #333; background: #1a1a1a; color: #fff; }
+            .filters input[type="search"] { min-width: 260px; }
+            .filters button { background: #007bff; border-color: #007bff; cursor: pointer; font-weight: bold; }
+            .filters a { color: #888; text-decoration: none; font-size: 14px; align-self: center; }
+
+            table { width: 100%; border-collapse: collapse; background: #141414; border: 1px solid #222; border-radius: 8px; overflow: hidden; font-size: 14px; }
+            th, td { padding: 10px 12px; border-bottom: 1px solid #222; text-align: left; vertical-align: top; }
+            th { color: #888; font-size: 12px; text-transform: uppercase; letter-spacing: 1px; background: #111; }
+            tr:hover td { background: #181818; }
+            .muted { color: #666; font-size: 12px; }
+            .mono { font-family: monospace; font-size: 12px; color: #888; }
+
+            .badge { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 11px; font-weight: bold; }
+            .badge-PAID, .badge-APPROVED { background: #14532d; color: #4ade80; }
+            .badge-PARTIALLY_REFUNDED, .badge-PENDING { background: #422006; color: #fbbf24; }
+            .badge-REFUNDED, .badge-CANCELLED, .badge-REJECTED, .badge-refunded { background: #2a1215; color: #f87171; }
+            .badge-HIDDEN { background: #333; color: #aaa; }
+
+            .pagination { display: flex; gap: 16px; align-items: center; justify-content: center; margin: 20px 0; color: #888; font-size: 14px; }
+            .pagination a { text-decoration: none; padding: 6px 12px; border: 1px solid #333; border-radius: 6px; }
+
+            .section-title { font-size: 1.2rem; margin: 28px 0 12px; color: #fff; border-left: 3px solid #60a5fa; padding-left: 12px; }
+            .profile { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px; background: #141414; border: 1px solid #222; border-radius: 8px; padding: 16px; }
+            .profile div span { display: block; font-size: 12px; color: #888; margin-bottom: 4px; }
+            .media-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 12px; }
+            .media-card { background: #141414; border: 1px solid #222; border-radius: 8px; overflow: hidden; font-size: 12px; }
+            .media-card img, .media-card video { width: 100%; height: 160px; object-fit: cover; background: #000; display: block; }
+            .media-card div { padding: 8px; }
+            .media-card div div { padding: 0; }
+            .media-card button { padding: 4px 10px; border: 1px solid #333; border-radius: 4px; background: #1a1a1a; color: #fff; cursor: pointer; }
+            .empty-state { text-align: center; padding: 40px; color: #555; }
+        </style>
+    </head>
+    <body>
+        <header>
+            <h1>${escapeHtml(title)}</h1>
+            <nav>
+                ${navLink("/admin", "Media", "media")}
+                ${navLink("/admin/orders", "Orders", "orders")}
+                ${navLink("/admin/comments", "Comments", "comments")}
+                ${navLink("/admin/reports", "Reports", "reports")}
+                ${navLink("/admin/customers", "Customers", "customers")}
+                ${navLink("/admin/trash", "Trash", "trash")}
+                ${navLink("/admin/diy", "DIY", "diy")}
+                <a href="/admin/logout">Logout</a>
+            </nav>
+        </header>
+        ${body}
+    </body>
+    </html>
+    `;
+}
+
+// Orders list
+// GET /admin/orders?q=...&status=PAID&startDate=2024-01-01&endDate=2024-12-31&page=1
+// q matches the order ID, customer name/email, or a purchased product name/SKU/ID
+router.get("/orders", requireAuth, async (req, res) => {
+    try {
+        const { q, status, startDate, endDate } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const term = queryText(q);
+
+        const where = {};
+        if (typeof status === "string" && status) where.status = status;
+        const createdAt = dateRange(startDate, endDate);
+        if (createdAt) where.createdAt = createdAt;
+        if (term) {
+            where.OR = [
+                { shopifyId: term },
+                { customer: { email: { contains: term, mode: "insensitive" } } },
+                { customer: { firstName: { contains: term, mode: "insensitive" } } },
+                { customer: { lastName: { contains: term, mode: "insensitive" } } },
+                { items: { some: itemSearch(term) } },
+            ];
+        }
+
+        const [total, orders] = await prisma.$transaction([
+            prisma.order.count({ where }),
+            prisma.order.findMany({
+                where,
+                orderBy: { createdAt: "desc" },
+                skip: (page - 1) * ADMIN_PAGE_SIZE,
+                take: ADMIN_PAGE_SIZE,
+                include: { customer: true, items: true },
+            }),
+        ]);
+
+        const statuses = ["PAID", "PARTIALLY_REFUNDED", "REFUNDED", "CANCELLED"];
+
+        const body = `
+            <form class="filters" method="GET" action="/admin/orders">
+                <div class="filter-group">
+                    <label>Search</label>
+                    <input type="search" name="q" value="${escapeHtml(q)}" placeholder="Order ID, customer, product, SKU">
+                </div>
+                <div class="filter-group">
+                    <label>Status</label>
+                    <select name="status">
+                        <option value="">All</option>
+                        ${statuses.map(s => `<option value="${s}" ${status === s ? "selected" : ""}>${s}</option>`).join("")}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label>Start Date</label>
+                    <input type="date" name="startDate" value="${escapeHtml(startDate)}">
+                </div>
+                <div class="filter-group">
+                    <label>End Date</label>
+                    <input type="date" name="endDate" value="${escapeHtml(endDate)}">
+                </div>
+                <button type="submit">Filter</button>
+                <a href="/admin/orders">Reset</a>
+            </form>
+
+            ${orders.length === 0 ? `<div class="empty-state">No orders found.</div>` : `
+            <table>
+                <thead>
+                    <tr><th>Date</th><th>Order</th><th>Customer</th><th>Items</th><th>Total</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${orders.map(order => `
+                    <tr>
+                        <td>${formatDate(order.createdAt)}</td>
+                        <td class="mono">${escapeHtml(order.shopifyId)}<br><span class="muted">${escapeHtml(order.shop || "")}</span></td>
+                        <td>
+                            <a href="/admin/customers/${order.customer.id}">${escapeHtml(customerName(order.customer))}</a><br>
+                            <span class="muted">${order.customer.redactedAt ? "" : escapeHtml(order.customer.email)}</span>
+                        </td>
+                        <td>${order.items.map(itemSummary).join("<br>")}</td>
+                        <td>${formatMoney(order.totalPrice, order.currency)}</td>
+                        <td><span class="badge badge-${order.status}">${order.status}</span></td>
+                    </tr>
+                    `).join("")}
+                </tbody>
+            </table>
+            ${pagination("/admin/orders", req.query, page, total)}
+            `}
+        `;
+
+        res.send(adminPage({ title: `🧾 Orders (${total})`, active: "orders", body }));
+    } catch (error) {
+        console.error("Admin Orders Error:", error);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Customers list
+// GET /admin/customers?q=...&product=...&startDate=...&endDate=...&page=1
+// product keeps customers that still own a matching item (name/SKU/product or variant ID);
+// the date range applies to their orders
+router.get("/customers", requireAuth, async (req, res) => {
+    try {
+        const { q, product, startDate, endDate } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const term = queryText(q);
+        const productTerm = queryText(product);
+
+        const where = {};
+        if (term) {
+            where.OR = [
+                { shopifyId: term },
+                { email: { contains: term, mode: "insensitive" } },
+                { firstName: { contains: term, mode: "insensitive" } },
+                { lastName: { contains: term, mode: "insensitive" } },
+            ];
+        }
+
+        const createdAt = dateRange(startDate, endDate);
+        if (createdAt || productTerm) {
+            where.orders = {
+                some: {
+                    createdAt,
+                    ...(productTerm && {
+                        status: { not: "CANCELLED" },
+                        items: { some: { refunded: false, ...itemSearch(productTerm) } },
+                    }),
+                },
+            };
+        }
+
+        const [total, customers] = await prisma.$transaction([
+            prisma.customer.count({ where }),
+            prisma.customer.findMany({
+                where,
+                orderBy: { email: "asc" },
+                skip: (page - 1) * ADMIN_PAGE_SIZE,
+                take: ADMIN_PAGE_SIZE,
+                include: {
+                    _count: { select: { orders: true, media: true, likes: true } },
+                },
+            }),
+        ]);
+
+        const body = `
+            <form class="filters" method="GET" action="/admin/customers">
+                <div class="filter-group">
+                    <label>Search</label>
+                    <input type="search" name="q" value="${escapeHtml(q)}" placeholder="Name, email or Shopify ID">
+                </div>
+                <div class="filter-group">
+                    <label>Bought product</label>
+                    <input type="search" name="product" value="${escapeHtml(product)}" placeholder="Product name, SKU or ID">
+                </div>
+                <div class="filter-group">
+                    <label>Ordered from</label>
+                    <input type="date" name="startDate" value="${escapeHtml(startDate)}">
+                </div>
+                <div class="filter-group">
+                    <label>Ordered until</label>
+                    <input type="date" name="endDate" value="${escapeHtml(endDate)}">
+                </div>
+                <button type="submit">Filter</button>
+                <a href="/admin/customers">Reset</a>
+            </form>
+
+            ${customers.length === 0 ? `<div class="empty-state">No customers found.</div>` : `
+            <table>
+                <thead>
+                    <tr><th>Customer</th><th>Email</th><th>Shopify ID</th><th>Orders</th><th>Uploads</th><th>Likes</th></tr>
+                </thead>
+                <tbody>
+                    ${customers.map(customer => `
+                    <tr>
+                        <td><a href="/admin/customers/${customer.id}">${escapeHtml(customerName(customer))}</a></td>
+                        <td>${customer.redactedAt ? `<span class="muted">redacted</span>` : escapeHtml(customer.email)}</td>
+                        <td class="mono">${escapeHtml(customer.shopifyId)}</td>
+                        <td>${customer._count.orders}</td>
+                        <td>${customer._count.media}</td>
+                        <td>${customer._count.likes}</td>
+                    </tr>
+                    `).join("")}
+                </tbody>
+            </table>
+            ${pagination("/admin/customers", req.query, page, total)}
+            `}
+        `;
+
+        res.send(adminPage({ title: `👥 Customers (${total})`, active: "customers", body }));
+    } catch (error) {
+        console.error("Admin Customers Error:", error);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Customer detail: profile, orders with purchased items, uploads and likes
+// GET /admin/customers/:id (local ID or Shopify Customer ID)
+router.get("/customers/:id", requireAuth, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const customer = await prisma.customer.findFirst({
+            where: { OR: [{ id }, { shopifyId: id }] },
+            include: {
+                orders: {
+                    orderBy: { createdAt: "desc" },
+                    include: { items: true },
+                },
+                media: {
+                    orderBy: { createdAt: "desc" },
+                    include: { product: true },
+                },
+                likes: {
+                    orderBy: { createdAt: "desc" },
+                    include: { media: { include: { product: true } } },
+                },
+            },
+        });
+
+        if (!customer) return res.status(404).send("Customer not found");
+
+        const mediaThumb = (media) => media.type === "VIDEO"
+            ? `<video src="${escapeHtml(media.url)}" muted></video>`
+            : `<img src="${escapeHtml(media.url)}" loading="lazy" />`;
+
+        const body = `
+            <div class="profile">
+                <div><span>Name</span>${escapeHtml(customerName(customer))}</div>
+                <div><span>Email</span>${customer.redactedAt ? "redacted" : escapeHtml(customer.email)}</div>
+                <div><span>Shopify ID</span><span class="mono">${escapeHtml(customer.shopifyId)}</span></div>
+                <div><span>Shop</span>${escapeHtml(customer.shop || "—")}</div>
+                ${customer.redactedAt ? `<div><span>Redacted at</span>${formatDate(customer.redactedAt)}</div>` : ""}
+            </div>
+
+            <h2 class="section-title">Orders (${customer.orders.length})</h2>
+            ${customer.orders.length === 0 ? `<div class="empty-state">No orders.</div>` : `
+            <table>
+                <thead>
+                    <tr><th>Date</th><th>Order</th><th>Item</th><th>SKU</th><th>Qty</th><th>Unit price</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${customer.orders.map(order => order.items.map((item, index) => `
+                    <tr>
+                        ${index === 0 ? `
+                        <td rowspan="${order.items.length}">${formatDate(order.createdAt)}</td>
+                        <td rowspan="${order.items.length}" class="mono">
+                            ${escapeHtml(order.shopifyId)}<br>
+                            <span class="muted">${formatMoney(order.totalPrice, order.currency)}</span>
+                        </td>` : ""}
+                        <td>
+                            ${escapeHtml(item.name)}${item.variantTitle ? ` <span class="muted">(${escapeHtml(item.variantTitle)})</span>` : ""}<br>
+                            <span class="mono">product ${escapeHtml(item.shopifyProductId)}${item.shopifyVariantId ? ` · variant ${escapeHtml(item.shopifyVariantId)}` : ""}</span>
+                            ${Array.isArray(item.properties) ? item.properties.map(p => `<br><span class="muted">${escapeHtml(p.name)}: ${escapeHtml(p.value)}</span>`).join("") : ""}
+                        </td>
+                        <td class="mono">${escapeHtml(item.sku || "—")}</td>
+                        <td>${item.quantity}${item.refundedQuantity > 0 ? ` <span class="badge badge-refunded">${item.refundedQuantity} refunded</span>` : ""}</td>
+                        <td>${formatMoney(item.discountedUnitPrice ?? item.price, order.currency)}</td>
+                        ${index === 0 ? `<td rowspan="${order.items.length}"><span class="badge badge-${order.status}">${order.status}</span></td>` : ""}
+                    </tr>
+                    `).join("")).join("")}
+                </tbody>
+            </table>
+            `}
+
+            <h2 class="section-title">Uploads (${customer.media.length})</h2>
+            ${customer.media.length === 0 ? `<div class="empty-state">No uploads.</div>` : `
+            <div class="media-grid">
+                ${customer.media.map(media => `
+                <div class="media-card">
+                    ${mediaThumb(media)}
+                    <div>
+                        <span class="badge badge-${media.status}">${media.status}</span>
+                        ${media.deletedAt ? `<span class="badge badge-HIDDEN">TRASHED</span>` : ""}
+                        ${media.rejectionReason ? `<div class="muted">${escapeHtml(media.rejectionReason)}</div>` : ""}
+                        <div>${escapeHtml(media.product ? media.product.name : media.shopifyProductId)}</div>
+                        <div class="muted">${formatDate(media.createdAt)}</div>
+                    </div>
+                </div>
+                `).join("")}
+            </div>
+            `}
+
+            <h2 class="section-title">Likes (${customer.likes.length})</h2>
+            ${customer.likes.length === 0 ? `<div class="empty-state">No likes.</div>` : `
+            <div class="media-grid">
+                ${customer.likes.map(like => `
+                <div class="media-card">
+                    ${mediaThumb(like.media)}
+                    <div>
+                        <div>${escapeHtml(like.media.product ? like.media.product.name : like.media.shopifyProductId)}</div>
+                        <div class="muted">Liked ${formatDate(like.createdAt)}</div>
+                    </div>
+                </div>
+                `).join("")}
+            </div>
+            `}
+        `;
+
+        res.send(adminPage({ title: `👤 ${customerName(customer)}`, active: "customers", body }));
+    } catch (error) {
+        console.error("Admin Customer Detail Error:", error);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Media Trash: restore or delete for good before the retention window ends
+router.get("/trash", requireAuth, async (req, res) => {
+    try {
+        const media = await prisma.media.findMany({
+            where: { deletedAt: { not: null }, position: 0 }, // Posts are trashed and restored as a whole
+            orderBy: { deletedAt: "desc" },
+            include: { product: true, customer: true, post: { include: { _count: { select: { media: true } } } } },
+        });
+
+        const body = `
+            <p class="muted" style="margin-bottom:16px;">Trashed uploads are deleted permanently (with their Cloudinary files) after ${TRASH_RETENTION_DAYS} days.</p>
+            ${media.length ? `<button onclick="emptyTrash()" style="color:#f87171;margin-bottom:16px;">Delete all now</button>` : ""}
+            ${media.length === 0 ? `<div class="empty-state">The trash is empty.</div>` : `
+            <div class="media-grid">
+                ${media.map(item => `
+                <div class="media-card" id="trash-${item.id}">
+                    ${item.type === "VIDEO"
+                        ? `<video src="${escapeHtml(item.url)}" muted></video>`
+                        : `<img src="${escapeHtml(item.url)}" loading="lazy" />`}
+                    <div>
+                        <span class="badge badge-${item.status}">${item.status}</span>
+                        <div>${escapeHtml(item.product ? item.product.name : item.shopifyProductId)}</div>
+                        <div class="muted">${escapeHtml(customerName(item.customer))}</div>
+                        ${item.post ? `<div class="muted">📚 Post of ${item.post._count.media} files</div>` : ""}
+                        <div class="muted">Trashed ${formatDate(item.deletedAt)}</div>
+                        <div class="muted">Purged ${formatDate(trashExpiresAt(item))}</div>
+                        <div style="display:flex;gap:6px;margin-top:8px;">
+                            <button onclick="trashAction('${item.id}', 'restore')">Restore</button>
+                            <button onclick="trashAction('${item.id}', 'delete')" style="color:#f87171;">Delete now</button>
+                        </div>
+                    </div>
+                </div>
+                `).join("")}
+            </div>
+            `}
+            <script>
+                async function trashAction(id, action) {
+                    if (action === 'delete' && !confirm('Delete this upload and its file permanently?')) return;
+
+                    const response = action === 'restore'
+                        ? await fetch(\`/admin/media/\${id}/restore\`, { method: 'POST' })
+                        : await fetch(\`/admin/media/\${id}?permanent=1\`, { method: 'DELETE' });
+                    const data = await response.json().catch(() => ({}));
+
+                    if (data.success) document.getElementById(\`trash-\${id}\`).remove();
+                    else alert('Error: ' + (data.error || 'Unknown'));
+                }
+
+                async function emptyTrash() {
+                    const ids = ${JSON.stringify(media.slice(0, BULK_MODERATION_LIMIT).map(item => item.id))};
+                    if (!confirm(\`Delete \${ids.length} upload(s) and their files permanently?\`)) return;
+
+                    try {
+                        const response = await fetch('/admin/media/bulk', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ ids, action: 'delete' })
+                        });
+                        const data = await response.json();
+                        if (data.error) return alert('Error: ' + data.error);
+
+                        const messages = [];
+                        if (data.failed.length) {
+                            messages.push(\`\${data.failed.length} failed:\`);
+                            data.failed.forEach(f => messages.push(\`- \${f.id}: \${f.error}\`));
+                        }
+                        if (data.assetsNotRemoved.length) {
+                            messages.push(\`\${data.assetsNotRemoved.length} file(s) could not be removed from Cloudinary.\`);
+                        }
+                        if (messages.length) alert(messages.join('\\n'));
+
+                        window.location.reload();
+                    } catch (e) {
+                        alert('Error: ' + e.message);
+                    }
+                }
+            </script>
+        `;
+
+        res.send(adminPage({ title: `🗑️ Trash (${media.length})`, active: "trash", body }));
+    } catch (error) {
+        console.error("Admin Trash Error:", error);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Comment Moderation Queue
+// GET /admin/comments?status=pending|approved|rejected|hidden|all&page=1
+router.get("/comments", requireAuth, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+
+        const where = { deletedAt: null };
+        const statusFilter = status === "all" ? null : parseMediaStatus(status || "pending");
+        if (statusFilter) where.status = statusFilter;
+
+        const [total, comments] = await prisma.$transaction([
+            prisma.comment.count({ where }),
+            prisma.comment.findMany({
+                where,
+                orderBy: { createdAt: "asc" }, // Oldest waiting first
+                skip: (page - 1) * ADMIN_PAGE_SIZE,
+                take: ADMIN_PAGE_SIZE,
+                include: {
+                    customer: true,
+                    media: { include: { product: true } },
+                    parent: { include: { customer: true } },
+                },
+            }),
+        ]);
+
+        const statuses = ["pending", "approved", "rejected", "hidden", "all"];
+
+        const body = `
+            <form class="filters" method="GET" action="/admin/comments">
+                <div class="filter-group">
+                    <label>Status</label>
+                    <select name="status">
+                        ${statuses.map(s => `<option value="${s}" ${(status || "pending") === s ? "selected" : ""}>${s[0].toUpperCase() + s.slice(1)}</option>`).join("")}
+                    </select>
+                </div>
+                <button type="submit">Filter</button>
+                <a href="/admin/comments">Reset</a>
+            </form>
+
+            ${comments.length === 0 ? `<div class="empty-state">No comments to review.</div>` : `
+            <table>
+                <thead>
+                    <tr><th>Media</th><th>Comment</th><th>Author</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${comments.map(comment => `
+                    <tr id="comment-${comment.id}">
+                        <td style="width:120px;">
+                            ${comment.media.type === "VIDEO"
+                                ? `<video src="${escapeHtml(comment.media.url)}" muted style="width:100px;height:100px;object-fit:cover;"></video>`
+                                : `<img src="${escapeHtml(comment.media.url)}" loading="lazy" style="width:100px;height:100px;object-fit:cover;" />`}
+                            <div class="muted">${escapeHtml(comment.media.product ? comment.media.product.name : comment.media.shopifyProductId)}</div>
+                        </td>
+                        <td>
+                            ${comment.parent ? `<div class="muted">↳ reply to ${escapeHtml(customerName(comment.parent.customer))}: “${escapeHtml(comment.parent.body.slice(0, 80))}”</div>` : ""}
+                            <div style="white-space:pre-wrap;">${escapeHtml(comment.body)}</div>
+                            <div class="muted">${formatDate(comment.createdAt)}</div>
+                        </td>
+                        <td><a href="/admin/customers/${comment.customer.id}">${escapeHtml(customerName(comment.customer))}</a></td>
+                        <td>
+                            <span class="badge badge-${comment.status}" id="comment-status-${comment.id}">${comment.status}</span>
+                            ${comment.rejectionReason ? `<div class="muted">${escapeHtml(comment.rejectionReason)}</div>` : ""}
+                        </td>
+                        <td style="white-space:nowrap;">
+                            <button onclick="setCommentStatus('${comment.id}', 'approved')">Approve</button>
+                            <button onclick="setCommentStatus('${comment.id}', 'rejected')">Reject</button>
+                            <button onclick="setCommentStatus('${comment.id}', 'hidden')">Hide</button>
+                        </td>
+                    </tr>
+                    `).join("")}
+                </tbody>
+            </table>
+            ${pagination("/admin/comments", req.query, page, total)}
+            `}
+
+            <script>
+                async function setCommentStatus(id, status) {
+                    let reason;
+                    if (status === 'rejected') {
+                        reason = prompt('Reason for rejection:');
+                        if (!reason) return;
+                    }
+
+                    const response = await fetch(\`/admin/comments/\${id}/status\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ status, reason })
+                    });
+                    const data = await response.json().catch(() => ({}));
+
+                    if (data.success) {
+                        const badge = document.getElementById(\`comment-status-\${id}\`);
+                        badge.className = \`badge badge-\${data.status}\`;
+                        badge.textContent = data.status;
+                    } else {
+                        alert('Error: ' + (data.error || 'Unknown'));
+                    }
+                }
+            </script>
+        `;
+
+        res.send(adminPage({ title: `💬 Comments (${total})`, active: "comments", body }));
+    } catch (error) {
+        console.error("Admin Comments Error:", error);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
+// Reported Media Queue
+// GET /admin/reports?page=1 — media with open reports, most reported first
+router.get("/reports", requireAuth, async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const where = { status: REPORT_STATUS.OPEN, media: { deletedAt: null } };
+
+        const [grouped, groups] = await Promise.all([
+            prisma.report.groupBy({
+                by: ["mediaId"],
+                where,
+                _count: { _all: true },
+                orderBy: [{ _count: { mediaId: "desc" } }, { mediaId: "asc" }],
+                skip: (page - 1) * ADMIN_PAGE_SIZE,
+                take: ADMIN_PAGE_SIZE,
+            }),
+            prisma.report.groupBy({ by: ["mediaId"], where }),
+        ]);
+        const total = groups.length;
+
+        const mediaIds = grouped.map(g => g.mediaId);
+        const [media, reports] = await Promise.all([
+            prisma.media.findMany({
+                where: { id: { in: mediaIds } },
+                include: { product: true, customer: true },
+            }),
+            prisma.report.findMany({
+                where: { ...where, mediaId: { in: mediaIds } },
+                orderBy: { createdAt: "asc" },
+                include: { customer: true },
+            }),
+        ]);
+        const mediaById = new Map(media.map(m => [m.id, m]));
+
+        const body = `
+            <p class="muted" style="margin-bottom:16px;">
+                ${REPORT_HIDE_THRESHOLD > 0
+                    ? `Approved media is hidden automatically after ${REPORT_HIDE_THRESHOLD} open reports until reviewed. Dismissing brings it back.`
+                    : "Automatic hiding is disabled (MEDIA_REPORT_HIDE_THRESHOLD=0)."}
+            </p>
+            ${grouped.length === 0 ? `<div class="empty-state">No open reports.</div>` : `
+            <table>
+                <thead>
+                    <tr><th>Media</th><th>Reports</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${grouped.map(({ mediaId }) => {
+                        const item = mediaById.get(mediaId);
+                        const itemReports = reports.filter(r => r.mediaId === mediaId);
+                        return `
+                    <tr id="reported-${item.id}">
+                        <td style="width:160px;">
+                            ${item.type === "VIDEO"
+                                ? `<video src="${escapeHtml(item.url)}" muted controls style="width:140px;height:140px;object-fit:cover;"></video>`
+                                : `<img src="${escapeHtml(item.url)}" loading="lazy" style="width:140px;height:140px;object-fit:cover;" />`}
+                            <div class="muted">${escapeHtml(item.product ? item.product.name : item.shopifyProductId)}</div>
+                            <div class="muted">by ${escapeHtml(customerName(item.customer))}</div>
+                            ${item.caption ? `<div>${escapeHtml(item.caption)}</div>` : ""}
+                        </td>
+                        <td>
+                            ${itemReports.map(report => `
+                            <div style="margin-bottom:6px;">
+                                <strong>${report.reason}</strong>
+                                <span class="muted">— ${escapeHtml(customerName(report.customer))}, ${formatDate(report.createdAt)}</span>
+                                ${report.details ? `<div style="white-space:pre-wrap;">${escapeHtml(report.details)}</div>` : ""}
+                            </div>
+                            `).join("")}
+                        </td>
+                        <td>
+                            <span class="badge badge-${item.status}">${item.status}</span>
+                            ${isAutoHidden(item) ? `<div class="muted">Hidden by reports</div>` : ""}
+                        </td>
+                        <td style="white-space:nowrap;">
+                            <button onclick="reviewReports('${item.id}', 'dismiss')">Dismiss</button>
+                            <button onclick="reviewReports('${item.id}', 'hide')">Hide</button>
+                            <button onclick="reviewReports('${item.id}', 'reject')">Reject</button>
+                            <button onclick="reviewReports('${item.id}', 'trash')" style="color:#f87171;">Trash</button>
+                        </td>
+                    </tr>
+                        `;
+                    }).join("")}
+                </tbody>
+            </table>
+            ${pagination("/admin/reports", req.query, page, total)}
+            `}
+
+            <script>
+                async function reviewReports(id, action) {
+                    let reason;
+                    if (action === 'reject') {
+                        reason = prompt('Reason for rejection (shown to the uploader):');
+                        if (!reason) return;
+                    }
+                    if (action === 'trash' && !confirm('Move this upload to the trash?')) return;
+
+                    const response = await fetch(\`/admin/media/\${id}/reports/review\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ action, reason })
+                    });
+                    const data = await response.json().catch(() => ({}));
+
+                    if (data.success) document.getElementById(\`reported-\${id}\`).remove();
+                    else alert('Error: ' + (data.error || 'Unknown'));
+                }
+            </script>
+        `;
+
+        res.send(adminPage({ title: `🚩 Reports (${total})`, active: "reports", body }));
+    } catch (error) {
+        console.error("Admin Reports Error:", error);
+        res.status(500).send("Internal Server Error");
+    }
+});
+
 export default router;
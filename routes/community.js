@@ -0,0 +1,135 @@
+import { Router } from "express";
+import prisma from "../db.js";
+import { resolveShop } from "../services/shopify.js";
+import { verifyShopifySignature } from "../services/signatures.js";
+import { parseGalleryQuery, listGalleryMedia } from "../services/gallery.js";
+import { parseLeaderboardQuery, getLeaderboard } from "../services/community.js";
+import { AUTHOR_SELECT, toPublicAuthor, getPublicProfile } from "../services/profiles.js";
+
+const router = Router();
+
+// Resolve which shop each request belongs to (req.shop)
+router.use(async (req, res, next) => {
+    req.shop = await resolveShop(req);
+    next();
+});
+
+/**
+ * Approved media across all products, with the product it belongs to
+ * GET /community/feed?sort=newest|most_liked|trending&limit=24&cursor=...&tag=...&customerId=...&signature=...
+ * A signed customer also gets likedByUser.
+ */
+router.get("/feed", async (req, res) => {
+    try {
+        const { customerId, signature, tag } = req.query;
+
+        const paging = parseGalleryQuery(req.query);
+        if (paging.error) return res.status(400).json({ error: paging.error });
+
+        let viewerId;
+        if (customerId && signature && verifyShopifySignature(customerId, signature, { required: true })) {
+            const viewer = await prisma.customer.findUnique({ where: { shopifyId: String(customerId) } });
+            viewerId = viewer?.id;
+        }
+
+        const { media, nextCursor } = await listGalleryMedia({
+            shop: req.shop,
+            tag,
+            ...paging,
+            viewerId,
+            include: {
+                product: { select: { shopifyId: true, name: true } },
+                customer: { select: AUTHOR_SELECT }
+            }
+        });
+
+        res.json({
+            media: media.map(m => ({
+                id: m.id,
+                url: m.url,
+                type: m.type,
+                caption: m.caption,
+                altText: m.altText,
+                tags: m.tags,
+                files: m.files,
+                variantId: m.shopifyVariantId,
+                product: {
+                    id: m.product ? m.product.shopifyId : m.shopifyProductId,
+                    name: m.product ? m.product.name : null
+                },
+                author: toPublicAuthor(m.customer),
+                likeCount: m.likeCount,
+                likedByUser: m.likedByUser,
+                createdAt: m.createdAt
+            })),
+            nextCursor
+        });
+    } catch (error) {
+        console.error("Error fetching community feed:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Top creators by likes received (or approved posts) in the last `days`
+ * GET /community/leaderboard?days=30&limit=10&sort=likes|posts
+ */
+router.get("/leaderboard", async (req, res) => {
+    try {
+        const query = parseLeaderboardQuery(req.query);
+        if (query.error) return res.status(400).json({ error: query.error });
+
+        const leaderboard = await getLeaderboard({ shop: req.shop, ...query });
+        res.json({ days: query.days, sort: query.sort, leaderboard });
+    } catch (error) {
+        console.error("Error fetching leaderboard:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Public creator profile with a page of their approved media
+ * GET /community/creators/:profileId?sort=newest|most_liked|trending&limit=24&cursor=...
+ * Only profiles their owner made public; others are a 404.
+ */
+router.get("/creators/:profileId", async (req, res) => {
+    try {
+        const paging = parseGalleryQuery(req.query);
+        if (paging.error) return res.status(400).json({ error: paging.error });
+
+        const profile = await getPublicProfile(req.params.profileId, req.shop);
+        if (!profile) return res.status(404).json({ error: "Profile not found" });
+
+        const { media, nextCursor } = await listGalleryMedia({
+            shop: req.shop,
+            customerId: profile.profileId,
+            ...paging,
+            include: { product: { select: { shopifyId: true, name: true } } }
+        });
+
+        res.json({
+            profile,
+            media: media.map(m => ({
+                id: m.id,
+                url: m.url,
+                type: m.type,
+                caption: m.caption,
+                altText: m.altText,
+                tags: m.tags,
+                files: m.files,
+                product: {
+                    id: m.product ? m.product.shopifyId : m.shopifyProductId,
+                    name: m.product ? m.product.name : null
+                },
+                likeCount: m.likeCount,
+                createdAt: m.createdAt
+            })),
+            nextCursor
+        });
+    } catch (error) {
+        console.error("Error fetching creator profile:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
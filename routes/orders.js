@@ -0,0 +1,122 @@
+import { Router } from "express";
+import prisma from "../db.js";
+import { getProduct } from "../services/shopify.js";
+import { verifyShopifySignature, verifyOrderSignature } from "../services/signatures.js";
+import { PUBLIC_MEDIA } from "../services/moderation.js";
+
+const router = Router();
+
+function productImage(product) {
+    return product?.image?.src || product?.images?.[0]?.src || null;
+}
+
+/**
+ * Fetch each distinct product once; failures only drop that product's image
+ * @returns {Promise<Map<string, object|null>>} Shopify products by ID
+ */
+async function fetchProducts(productIds, shop) {
+    const entries = await Promise.all(productIds.map(async (productId) => {
+        try {
+            return [productId, await getProduct(productId, shop)];
+        } catch (e) {
+            console.warn(`Could not fetch product ${productId}:`, e.message);
+            return [productId, null];
+        }
+    }));
+    return new Map(entries);
+}
+
+/**
+ * Approved community media of several products in one query
+ * @returns {Promise<Map<string, Array<{url: string, type: string}>>>} Media by Shopify Product ID
+ */
+async function fetchApprovedMedia(productIds, shop) {
+    const media = await prisma.media.findMany({
+        where: {
+            shopifyProductId: { in: productIds },
+            shop,
+            ...PUBLIC_MEDIA,
+        },
+        orderBy: { createdAt: "desc" },
+        select: { shopifyProductId: true, url: true, type: true },
+    });
+
+    const byProduct = new Map(productIds.map(id => [id, []]));
+    for (const m of media) {
+        byProduct.get(m.shopifyProductId).push({ url: m.url, type: m.type });
+    }
+    return byProduct;
+}
+
+/**
+ * Order summary for the order status page and customer account
+ * GET /order/:id?customerId=...&signature=...   (signed customer who placed the order)
+ * GET /order/:id?orderSignature=...             (order status page: HMAC of the order ID)
+ */
+router.get("/:id", async (req, res) => {
+    const { id } = req.params;
+    const { customerId, signature, orderSignature } = req.query;
+
+    try {
+        if (!orderSignature && !(customerId && signature)) {
+            return res.status(401).json({ error: "Authentication required (customerId and signature, or orderSignature)." });
+        }
+
+        if (orderSignature && !verifyOrderSignature(id, orderSignature)) {
+            return res.status(401).json({ error: "Invalid order signature" });
+        }
+        if (!orderSignature && !verifyShopifySignature(customerId, signature, { required: true })) {
+            return res.status(401).json({ error: "Invalid signature" });
+        }
+
+        const order = await prisma.order.findUnique({
+            where: { shopifyId: id },
+            include: {
+                customer: true,
+                items: true
+            }
+        });
+
+        // Same response for unknown orders and orders of someone else, so IDs can't be probed
+        if (!order || (!orderSignature && order.customer.shopifyId !== String(customerId))) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        const productIds = [...new Set(order.items.map(item => item.shopifyProductId).filter(Boolean))];
+        const [products, media] = await Promise.all([
+            fetchProducts(productIds, order.shop),
+            fetchApprovedMedia(productIds, order.shop),
+        ]);
+
+        res.json({
+            id: order.shopifyId,
+            status: order.status,
+            currency: order.currency,
+            totalPrice: order.totalPrice,
+            createdAt: order.createdAt,
+            cancelledAt: order.cancelledAt,
+            customer: {
+                firstName: order.customer.redactedAt ? null : order.customer.firstName,
+            },
+            items: order.items.map(item => ({
+                id: item.shopifyLineItemId,
+                name: item.name,
+                shopifyProductId: item.shopifyProductId,
+                shopifyVariantId: item.shopifyVariantId,
+                variantTitle: item.variantTitle,
+                sku: item.sku,
+                quantity: item.quantity,
+                refundedQuantity: item.refunded ? item.quantity : item.refundedQuantity,
+                price: item.price,
+                discountedUnitPrice: item.discountedUnitPrice,
+                image: productImage(products.get(item.shopifyProductId)),
+                user_media_urls: media.get(item.shopifyProductId) || [],
+            })),
+        });
+    } catch (error) {
+        console.error("Error fetching order:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+export default router;
@@ -2,41 +2,45 @@ import { Router } from "express";
 import {
     shopify,
     getAccessToken,
-    setAccessToken,
+    saveSession,
+    resolveShop,
+    getDefaultShop,
     getProductMetafields,
     setProductMetafield,
     setProductMetafields,
     updateMetafield,
     deleteMetafield,
     getProduct,
-    verifyCustomerOwnsProduct,
     verifyOrderContainsProduct,
     uploadFileToShopify,
 } from "../services/shopify.js";
+import { getSessionRecord } from "../services/sessions.js";
+import { toNumericId } from "../services/orders.js";
+import { checkOwnership } from "../services/ownership.js";
+import { verifyShopifySignature } from "../services/signatures.js";
+import { MEDIA_STATUS, PUBLIC_MEDIA, purgeMedia, purgeMediaFile } from "../services/moderation.js";
+import { parseMediaDetails } from "../services/media.js";
+import { listComments, createComment, deleteOwnComment } from "../services/comments.js";
+import { parseReport, createReport } from "../services/reports.js";
+import { parseGalleryQuery, listGalleryMedia } from "../services/gallery.js";
+import { AUTHOR_SELECT, toPublicAuthor, toOwnProfile, parseProfile, setAvatar, removeAvatar } from "../services/profiles.js";
+import { MAX_POST_FILES, parseAltTexts, createPost, findPostCover, postMembersWhere } from "../services/posts.js";
 
 const router = Router();
 import multer from "multer";
-import crypto from "crypto";
 
-const upload = multer({ storage: multer.memoryStorage() });
-
-/**
- * Verify HMAC signature from Liquid
- */
-function verifyShopifySignature(customerId, signature) {
-    // If no secret is set, we can't verify. 
-    // WARN: In production, this should be enforced.
-    if (!process.env.SHOPIFY_CUSTOMER_SECRET) {
-        console.warn("⚠️ SHOPIFY_CUSTOMER_SECRET not set. Skipping signature verification.");
-        return true;
-    }
-
-    const hash = crypto.createHmac('sha256', process.env.SHOPIFY_CUSTOMER_SECRET)
-        .update(customerId.toString())
-        .digest('hex');
+// Files are held in memory until they are sent on, so cap their size and number
+const MAX_UPLOAD_SIZE_MB = Number(process.env.MAX_UPLOAD_SIZE_MB || 50);
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024, files: MAX_POST_FILES },
+});
 
-    return hash === signature;
-}
+// Resolve which shop each request belongs to (req.shop)
+router.use(async (req, res, next) => {
+    req.shop = await resolveShop(req);
+    next();
+});
 
 /**
  * Upload a file to Shopify
@@ -71,7 +75,7 @@ router.post("/upload", upload.single("file"), async (req, res) => {
             return res.status(400).json({ error: "No file uploaded. Provide 'file' (multipart) or 'base64', 'filename', and 'mimetype' (JSON)." });
         }
 
-        const uploadResult = await uploadFileToShopify(fileData);
+        const uploadResult = await uploadFileToShopify(fileData, req.shop);
 
         res.json({
             success: true,
@@ -91,38 +95,79 @@ router.post("/upload", upload.single("file"), async (req, res) => {
  * Content-Type: multipart/form-data (field: file, field: productId)
  */
 // Import dependencies
-import { uploadStream } from "../services/cloudinary.js";
 import prisma from "../db.js";
 
+function uploadErrorMessage(error) {
+    if (error.code === "LIMIT_UNEXPECTED_FILE" || error.code === "LIMIT_FILE_COUNT") {
+        return `At most ${MAX_POST_FILES} files per post.`;
+    }
+    if (error.code === "LIMIT_FILE_SIZE") return `Files must be at most ${MAX_UPLOAD_SIZE_MB} MB.`;
+    return error.message;
+}
+
+// Files of one submission: "file" (single upload) or up to MAX_POST_FILES "files"
+const uploadPostFiles = (req, res, next) => {
+    upload.fields([
+        { name: "file", maxCount: 1 },
+        { name: "files", maxCount: MAX_POST_FILES }
+    ])(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ error: uploadErrorMessage(error) });
+        }
+        next(error);
+    });
+};
+
 /**
- * Upload a file to Cloudinary and assign it to a product (store in DB)
+ * Upload files to Cloudinary and assign them to a product (store in DB)
+ * Several files are stored as one post in the order sent, sharing caption and tags;
+ * ownership is verified once for the whole submission.
  * POST /shopify/upload-and-assign
- * Content-Type: multipart/form-data (field: file, field: productId)
+ * Content-Type: multipart/form-data (field: file, or up to MAX_POST_FILES fields: files;
+ * field: productId, optional fields: variantId, caption, tags as "amigurumi, hook-3.5mm",
+ * altText, repeated per file in the same order)
  */
-router.post("/upload-and-assign", upload.single("file"), async (req, res) => {
+router.post("/upload-and-assign", uploadPostFiles, async (req, res) => {
     try {
-        const { productId, customerId, signature, orderId } = req.body;
+        const { productId, variantId, customerId, signature, orderId } = req.body;
 
         if (!productId) {
             return res.status(400).json({ error: "No productId provided." });
         }
 
+        const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+        if (files.length > MAX_POST_FILES) {
+            return res.status(400).json({ error: `At most ${MAX_POST_FILES} files per post.` });
+        }
+
+        // Alt texts are per file, the rest is shared by the post
+        const details = parseMediaDetails({ ...req.body, altText: undefined });
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+        const { altTexts, error: altTextError } = parseAltTexts(req.body.altText, files.length);
+        if (altTextError) {
+            return res.status(400).json({ error: altTextError });
+        }
+
         let isAuthorized = false;
         let pOrder = null; // Prisma Order
         let dbCustomer = null;
 
         // 1. Verify Authentication & Ownership
         if (customerId) {
-            // Verify Signature (optional but recommended)
-            if (signature && !verifyShopifySignature(customerId, signature)) {
+            // Verify Signature (always enforced: uploads are posted under this customer)
+            if (!verifyShopifySignature(customerId, signature, { required: true })) {
                 return res.status(401).json({ error: "Invalid signature. Authentication failed." });
             }
 
-            // Verify Ownership via Shopify
-            const ownership = await verifyCustomerOwnsProduct(customerId, productId);
+            // Verify Ownership (local index, revalidated against Shopify)
+            const ownership = await checkOwnership(customerId, productId, req.shop, variantId);
             if (!ownership.verified) {
                 return res.status(403).json({
-                    error: "Ownership verification failed. You must purchase this product to post."
+                    error: variantId
+                        ? "Ownership verification failed. You must purchase this variant to post."
+                        : "Ownership verification failed. You must purchase this product to post."
                 });
             }
             isAuthorized = true;
@@ -130,7 +175,7 @@ router.post("/upload-and-assign", upload.single("file"), async (req, res) => {
             // Try to find the local customer record associated with the verification order
             if (ownership.orderId) {
                 const order = await prisma.order.findUnique({
-                    where: { shopifyId: String(ownership.orderId) },
+                    where: { shopifyId: toNumericId(ownership.orderId) },
                     include: { customer: true }
                 });
                 if (order) {
@@ -148,7 +193,7 @@ router.post("/upload-and-assign", upload.single("file"), async (req, res) => {
 
         } else if (orderId) {
             // Verify Order contains product
-            const hasProduct = await verifyOrderContainsProduct(orderId, productId);
+            const hasProduct = await verifyOrderContainsProduct(orderId, productId, req.shop, variantId);
             if (!hasProduct) {
                 return res.status(403).json({
                     error: "This order does not contain the specified product."
@@ -170,25 +215,11 @@ router.post("/upload-and-assign", upload.single("file"), async (req, res) => {
             return res.status(401).json({ error: "Authentication required (customerId or orderId)." });
         }
 
-        if (!req.file) {
+        if (!files.length) {
             return res.status(400).json({ error: "No file uploaded." });
         }
 
-        // 2. Upload to Cloudinary
-        console.log("📂 Uploading to Cloudinary...");
-
-        const { filter } = req.body;
-        console.log(`🎨 Applying filter: ${filter || 'none'}`);
-
-        const uploadResult = await uploadStream(req.file.buffer, {
-            folder: "hoop_community",
-            resource_type: "auto",
-            filter: filter
-        });
-
-        console.log(`✅ Uploaded to Cloudinary: ${uploadResult.secure_url}`);
-
-        // 3. Find or Create Product placeholder if needed
+        // 2. Find or Create Product placeholder if needed
         let dbProduct = await prisma.product.findUnique({
             where: { shopifyId: String(productId) }
         });
@@ -197,11 +228,12 @@ router.post("/upload-and-assign", upload.single("file"), async (req, res) => {
         // For now, we'll try to fetch it from Shopify if missing, or just use a placeholder
         if (!dbProduct) {
             try {
-                const shopifyProduct = await getProduct(productId);
+                const shopifyProduct = await getProduct(productId, req.shop);
                 if (shopifyProduct) {
                     dbProduct = await prisma.product.create({
                         data: {
                             shopifyId: String(productId),
+                            shop: req.shop,
                             name: shopifyProduct.title,
                             // date matches default now()
                         }
@@ -212,23 +244,29 @@ router.post("/upload-and-assign", upload.single("file"), async (req, res) => {
             }
         }
 
-        // 4. Create Media Record
-        const media = await prisma.media.create({
-            data: {
-                cloudinaryId: uploadResult.public_id,
-                url: uploadResult.secure_url,
-                type: uploadResult.resource_type === 'video' ? 'VIDEO' : 'IMAGE',
-                shopifyProductId: String(productId),
-                productId: dbProduct ? dbProduct.id : null,
-                customerId: dbCustomer ? dbCustomer.id : null
-            }
-        });
+        // 3. Upload to Cloudinary and create the Media records (a Post for several files)
+        const { filter } = req.body;
+        console.log(`📂 Uploading ${files.length} file(s) to Cloudinary (filter: ${filter || 'none'})...`);
+
+        const { post, media } = await createPost(files.map(file => file.buffer), {
+            shopifyProductId: String(productId),
+            shopifyVariantId: variantId ? toNumericId(variantId) : null,
+            shop: req.shop,
+            productId: dbProduct ? dbProduct.id : null,
+            customerId: dbCustomer ? dbCustomer.id : null,
+            ...details.data
+        }, { altTexts, filter });
+
+        console.log(`✅ Uploaded to Cloudinary: ${media.map(m => m.url).join(", ")}`);
 
         res.json({
             success: true,
-            media,
-            url: media.url,
-            message: "File uploaded to Cloudinary and saved to database."
+            media: media[0], // Cover of the post
+            url: media[0].url,
+            post: post ? { id: post.id, media } : null,
+            message: post
+                ? `${media.length} files uploaded to Cloudinary and saved to database as one post.`
+                : "File uploaded to Cloudinary and saved to database."
         });
 
     } catch (error) {
@@ -243,10 +281,17 @@ router.post("/upload-and-assign", upload.single("file"), async (req, res) => {
 
 /**
  * Start OAuth flow - redirect to Shopify authorization
- * Visit: http://localhost:3000/shopify/auth
+ * Visit: http://localhost:3000/shopify/auth?shop=my-store.myshopify.com
+ * (shop defaults to SHOPIFY_STORE_DOMAIN)
  */
 router.get("/auth", async (req, res) => {
-    const shop = process.env.SHOPIFY_STORE_DOMAIN;
+    const shop = req.query.shop
+        ? shopify.utils.sanitizeShop(String(req.query.shop))
+        : getDefaultShop();
+
+    if (!shop) {
+        return res.status(400).send("Invalid shop domain. Use my-store.myshopify.com");
+    }
 
     console.log("🔍 OAuth Debug Info:");
     console.log("Shop:", shop);
@@ -273,10 +318,10 @@ router.get("/callback", async (req, res) => {
             rawResponse: res,
         });
 
-        // Store the access token
-        setAccessToken(callback.session.accessToken);
+        // Persist the session so the token survives restarts
+        await saveSession(callback.session);
 
-        console.log("✅ Shopify OAuth successful!");
+        console.log(`✅ Shopify OAuth successful for ${callback.session.shop}!`);
         console.log("Access Token:", callback.session.accessToken.substring(0, 20) + "...");
 
         res.send(`
@@ -296,13 +341,25 @@ router.get("/callback", async (req, res) => {
 
 /**
  * Check if authenticated
+ * GET /shopify/status?shop=...
  */
-router.get("/status", (req, res) => {
-    const token = getAccessToken();
-    res.json({
-        authenticated: !!token,
-        store: process.env.SHOPIFY_STORE_DOMAIN,
-    });
+router.get("/status", async (req, res) => {
+    try {
+        const shop = req.shop;
+        const token = getAccessToken(shop);
+        const session = await getSessionRecord(shopify.session.getOfflineId(shop));
+
+        res.json({
+            authenticated: !!token,
+            store: shop,
+            scopes: session?.scope ? session.scope.split(",") : [],
+            installedAt: session?.createdAt || null,
+            updatedAt: session?.updatedAt || null,
+        });
+    } catch (error) {
+        console.error("Error getting status:", error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
 // ============================================
@@ -316,7 +373,7 @@ router.get("/status", (req, res) => {
 router.get("/products/:productId/metafields", async (req, res) => {
     try {
         const { productId } = req.params;
-        const metafields = await getProductMetafields(productId);
+        const metafields = await getProductMetafields(productId, req.shop);
         res.json({ metafields });
     } catch (error) {
         console.error("Error getting metafields:", error);
@@ -339,7 +396,7 @@ router.post("/products/:productId/metafields", async (req, res) => {
             key,
             value,
             type,
-        });
+        }, req.shop);
 
         res.json({ metafield });
     } catch (error) {
@@ -358,7 +415,7 @@ router.post("/products/:productId/metafields/bulk", async (req, res) => {
         const { productId } = req.params;
         const { metafields } = req.body;
 
-        const results = await setProductMetafields(productId, metafields);
+        const results = await setProductMetafields(productId, metafields, req.shop);
         res.json({ metafields: results });
     } catch (error) {
         console.error("Error creating metafields:", error);
@@ -376,7 +433,7 @@ router.put("/metafields/:metafieldId", async (req, res) => {
         const { metafieldId } = req.params;
         const { value, type } = req.body;
 
-        const metafield = await updateMetafield(metafieldId, { value, type });
+        const metafield = await updateMetafield(metafieldId, { value, type }, req.shop);
         res.json({ metafield });
     } catch (error) {
         console.error("Error updating metafield:", error);
@@ -391,7 +448,7 @@ router.put("/metafields/:metafieldId", async (req, res) => {
 router.delete("/metafields/:metafieldId", async (req, res) => {
     try {
         const { metafieldId } = req.params;
-        await deleteMetafield(metafieldId);
+        await deleteMetafield(metafieldId, req.shop);
         res.json({ success: true });
     } catch (error) {
         console.error("Error deleting metafield:", error);
@@ -406,7 +463,7 @@ router.delete("/metafields/:metafieldId", async (req, res) => {
 router.get("/products/:productId", async (req, res) => {
     try {
         const { productId } = req.params;
-        const product = await getProduct(productId);
+        const product = await getProduct(productId, req.shop);
         res.json({ product });
     } catch (error) {
         console.error("Error getting product:", error);
@@ -416,22 +473,22 @@ router.get("/products/:productId", async (req, res) => {
 
 /**
  * Verify if customer owns a product
- * GET /shopify/verify-ownership/:productId?customerId=...&signature=...
+ * GET /shopify/verify-ownership/:productId?customerId=...&signature=...&variantId=...
  */
 router.get("/verify-ownership/:productId", async (req, res) => {
     try {
         const { productId } = req.params;
-        const { customerId, signature } = req.query;
+        const { customerId, signature, variantId } = req.query;
 
         if (!customerId) {
             return res.status(400).json({ error: "customerId is required" });
         }
 
-        if (signature && !verifyShopifySignature(customerId, signature)) {
+        if (!signature || !verifyShopifySignature(customerId, signature, { required: true })) {
             return res.status(401).json({ error: "Invalid signature" });
         }
 
-        const result = await verifyCustomerOwnsProduct(customerId, productId);
+        const result = await checkOwnership(customerId, productId, req.shop, variantId);
         res.json(result);
 
     } catch (error) {
@@ -440,25 +497,317 @@ router.get("/verify-ownership/:productId", async (req, res) => {
     }
 });
 
+/**
+ * Require a signed customer (signature of customerId from Liquid; customerId from the
+ * route, query or body, signature from query or body)
+ * Sets req.customer to the local Customer, or null if they never ordered
+ * Always enforced: without SHOPIFY_CUSTOMER_SECRET every request is rejected.
+ */
+async function requireCustomerSignature(req, res, next) {
+    try {
+        const customerId = req.params.customerId || req.query.customerId || req.body?.customerId;
+        const signature = req.query.signature || req.body?.signature;
+
+        if (!customerId) {
+            return res.status(400).json({ error: "customerId is required" });
+        }
+
+        if (!signature || !verifyShopifySignature(customerId, signature, { required: true })) {
+            return res.status(401).json({ error: "Invalid signature" });
+        }
+
+        req.customer = await prisma.customer.findUnique({
+            where: { shopifyId: String(customerId) }
+        });
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Media of the signed customer, or null when it isn't theirs (or is in the trash)
+ */
+async function findOwnMedia(req) {
+    if (!req.customer) return null;
+
+    return prisma.media.findFirst({
+        where: { id: req.params.mediaId, customerId: req.customer.id, deletedAt: null }
+    });
+}
+
+function toOwnMedia(m) {
+    return {
+        id: m.id,
+        url: m.url,
+        type: m.type,
+        caption: m.caption,
+        altText: m.altText,
+        tags: m.tags,
+        shopifyProductId: m.shopifyProductId,
+        shopifyVariantId: m.shopifyVariantId,
+        postId: m.postId,
+        position: m.position,
+        productName: m.product ? m.product.name : null,
+        status: m.status,
+        // Only rejections carry a reason meant for the customer
+        rejectionReason: m.status === MEDIA_STATUS.REJECTED ? m.rejectionReason : null,
+        moderatedAt: m.moderatedAt,
+        createdAt: m.createdAt
+    };
+}
+
+/**
+ * A customer's own uploads across products, with moderation status
+ * GET /shopify/customers/:customerId/media?signature=...
+ */
+router.get("/customers/:customerId/media", requireCustomerSignature, async (req, res) => {
+    try {
+        if (!req.customer) {
+            return res.json({ media: [] });
+        }
+
+        const media = await prisma.media.findMany({
+            where: { customerId: req.customer.id, deletedAt: null },
+            orderBy: [{ createdAt: 'desc' }, { position: 'asc' }],
+            include: { product: { select: { name: true } } }
+        });
+
+        res.json({ media: media.map(toOwnMedia) });
+    } catch (error) {
+        console.error("Error fetching customer media:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Edit caption, alt text or tags of an own upload. Approved media goes back to
+ * review when its caption or tags change, so new text can't skip moderation.
+ * Caption, tags and status apply to the whole post; alt text to this file only.
+ * PUT /shopify/customers/:customerId/media/:mediaId { signature, caption, altText, tags }
+ */
+router.put("/customers/:customerId/media/:mediaId", requireCustomerSignature, async (req, res) => {
+    try {
+        const details = parseMediaDetails(req.body);
+        if (details.error) {
+            return res.status(400).json({ error: details.error });
+        }
+        const { data } = details;
+
+        const media = await findOwnMedia(req);
+        if (!media) {
+            return res.status(404).json({ error: "Media not found" });
+        }
+
+        const captionChanged = data.caption !== undefined && data.caption !== media.caption;
+        const tagsChanged = data.tags !== undefined && data.tags.join() !== media.tags.join();
+
+        const { altText, ...shared } = data;
+        await prisma.$transaction([
+            prisma.media.update({
+                where: { id: media.id },
+                data: { altText }
+            }),
+            prisma.media.updateMany({
+                where: postMembersWhere(media),
+                data: {
+                    ...shared,
+                    ...(media.status === MEDIA_STATUS.APPROVED && (captionChanged || tagsChanged) && {
+                        status: MEDIA_STATUS.PENDING,
+                        moderatedAt: null,
+                        moderatedById: null
+                    })
+                }
+            })
+        ]);
+
+        const updated = await prisma.media.findUnique({
+            where: { id: media.id },
+            include: { product: { select: { name: true } } }
+        });
+
+        res.json({ success: true, media: toOwnMedia(updated) });
+    } catch (error) {
+        console.error("Error updating customer media:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete an own upload (row and Cloudinary file). In a post, only this file goes;
+ * the other files keep their order and the next one becomes the cover if needed.
+ * DELETE /shopify/customers/:customerId/media/:mediaId?signature=...
+ */
+router.delete("/customers/:customerId/media/:mediaId", requireCustomerSignature, async (req, res) => {
+    try {
+        const media = await findOwnMedia(req);
+        if (!media) {
+            return res.status(404).json({ error: "Media not found" });
+        }
+
+        const result = await purgeMediaFile(media.id);
+        if (!result) return res.status(404).json({ error: "Media not found" });
+        console.log(`🗑️ Customer ${req.params.customerId} deleted media ${media.id}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Error deleting customer media:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete an own post with all its files, likes and comments
+ * DELETE /shopify/customers/:customerId/posts/:postId?signature=...
+ */
+router.delete("/customers/:customerId/posts/:postId", requireCustomerSignature, async (req, res) => {
+    try {
+        const cover = req.customer && await prisma.media.findFirst({
+            where: { postId: req.params.postId, customerId: req.customer.id, deletedAt: null }
+        });
+        if (!cover) {
+            return res.status(404).json({ error: "Post not found" });
+        }
+
+        const result = await purgeMedia(cover.id);
+        if (!result) return res.status(404).json({ error: "Post not found" });
+        console.log(`🗑️ Customer ${req.params.customerId} deleted post ${req.params.postId} (${result.media.length} files)`);
+
+        res.json({ success: true, deleted: result.media.length });
+    } catch (error) {
+        console.error("Error deleting customer post:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Own creator profile settings
+ * GET /shopify/customers/:customerId/profile?signature=...
+ */
+router.get("/customers/:customerId/profile", requireCustomerSignature, async (req, res) => {
+    try {
+        if (!req.customer) {
+            return res.status(404).json({ error: "Customer not found in DB. Make a purchase first." });
+        }
+
+        res.json({ profile: toOwnProfile(req.customer) });
+    } catch (error) {
+        console.error("Error fetching profile:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Update the creator profile: opt in/out, display name, bio and how the name is shown
+ * PUT /shopify/customers/:customerId/profile { signature, profilePublic, displayName, bio, nameDisplay }
+ */
+router.put("/customers/:customerId/profile", requireCustomerSignature, async (req, res) => {
+    try {
+        if (!req.customer) {
+            return res.status(404).json({ error: "Customer not found in DB. Make a purchase first." });
+        }
+
+        const { data, error } = parseProfile(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const updated = await prisma.customer.update({
+            where: { id: req.customer.id },
+            data
+        });
+
+        res.json({ success: true, profile: toOwnProfile(updated) });
+    } catch (error) {
+        console.error("Error updating profile:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const MAX_AVATAR_SIZE_MB = 5;
+const avatarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AVATAR_SIZE_MB * 1024 * 1024, files: 1 },
+});
+
+const uploadAvatarFile = (req, res, next) => {
+    avatarUpload.single("file")(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                error: error.code === "LIMIT_FILE_SIZE"
+                    ? `Avatar must be at most ${MAX_AVATAR_SIZE_MB} MB.`
+                    : error.message
+            });
+        }
+        next(error);
+    });
+};
+
+/**
+ * Upload or replace the profile avatar
+ * The signature is checked before the body is read, so it goes in the query.
+ * POST /shopify/customers/:customerId/profile/avatar?signature=... (multipart/form-data, field: file)
+ */
+router.post("/customers/:customerId/profile/avatar", requireCustomerSignature, uploadAvatarFile, async (req, res) => {
+    try {
+        if (!req.customer) {
+            return res.status(404).json({ error: "Customer not found in DB. Make a purchase first." });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: "No file uploaded." });
+        }
+        if (!req.file.mimetype.startsWith("image/")) {
+            return res.status(400).json({ error: "Avatar must be an image." });
+        }
+
+        const updated = await setAvatar(req.customer, req.file.buffer);
+        res.json({ success: true, profile: toOwnProfile(updated) });
+    } catch (error) {
+        console.error("Error uploading avatar:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Remove the profile avatar
+ * DELETE /shopify/customers/:customerId/profile/avatar?signature=...
+ */
+router.delete("/customers/:customerId/profile/avatar", requireCustomerSignature, async (req, res) => {
+    try {
+        if (!req.customer) {
+            return res.status(404).json({ error: "Customer not found in DB. Make a purchase first." });
+        }
+
+        const updated = await removeAvatar(req.customer);
+        res.json({ success: true, profile: toOwnProfile(updated) });
+    } catch (error) {
+        console.error("Error removing avatar:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * Get product gallery (only for owners)
- * GET /shopify/products/:productId/gallery?customerId=...&signature=...
+ * GET /shopify/products/:productId/gallery?customerId=...&signature=...&variantId=...&tag=...&sort=newest|most_liked|trending&limit=24&cursor=...
+ * With variantId, access requires that variant and only its uploads are returned.
+ * Pass the returned nextCursor (with the same sort) to get the next page.
  */
 router.get("/products/:productId/gallery", async (req, res) => {
     try {
         const { productId } = req.params;
-        const { customerId, signature } = req.query;
+        const { customerId, signature, variantId, tag } = req.query;
 
         if (!customerId) {
             return res.status(400).json({ error: "customerId is required" });
         }
 
-        if (signature && !verifyShopifySignature(customerId, signature)) {
+        const paging = parseGalleryQuery(req.query);
+        if (paging.error) return res.status(400).json({ error: paging.error });
+
+        if (!signature || !verifyShopifySignature(customerId, signature, { required: true })) {
             return res.status(401).json({ error: "Invalid signature" });
         }
 
         // 1. Verify Ownership
-        const ownership = await verifyCustomerOwnsProduct(customerId, productId);
+        const ownership = await checkOwnership(customerId, productId, req.shop, variantId);
         if (!ownership.verified) {
             return res.status(403).json({
                 error: "Access denied. You must purchase this product to view the gallery."
@@ -466,25 +815,34 @@ router.get("/products/:productId/gallery", async (req, res) => {
         }
 
         // 2. Fetch Media from DB (Approved Only)
-        // const metafields = await getProductMetafields(productId);
-        // ... replaced by Prisma query ...
-
-        const mediaRecords = await prisma.media.findMany({
-            where: {
-                shopifyProductId: String(productId),
-                approved: true
-            },
-            select: { url: true, type: true }
+        const viewer = await prisma.customer.findUnique({ where: { shopifyId: String(customerId) } });
+        const { media: mediaRecords, nextCursor } = await listGalleryMedia({
+            shop: req.shop,
+            productId,
+            variantId,
+            tag,
+            ...paging,
+            viewerId: viewer?.id
         });
 
         const media = mediaRecords.map(m => ({
+            id: m.id,
             url: m.url,
-            type: m.type
+            type: m.type,
+            variantId: m.shopifyVariantId,
+            caption: m.caption,
+            altText: m.altText,
+            tags: m.tags,
+            files: m.files,
+            likeCount: m.likeCount,
+            likedByUser: m.likedByUser,
+            createdAt: m.createdAt
         }));
 
         res.json({
             authorized: true,
-            media
+            media,
+            nextCursor
         });
 
     } catch (error) {
@@ -495,11 +853,15 @@ router.get("/products/:productId/gallery", async (req, res) => {
 
 router.post("/media/:id/like", async (req, res) => {
     try {
-        const { id } = req.params;
         const { customerId } = req.body;
 
         if (!customerId) return res.status(400).json({ error: "customerId is required" });
 
+        // A post is liked as a whole: likes go to its cover
+        const media = await prisma.media.findUnique({ where: { id: req.params.id } });
+        if (!media) return res.status(404).json({ error: "Media not found" });
+        const { id } = await findPostCover(media);
+
         // Check if customer exists (optional, but good for integrity)
         // const customer = await prisma.customer.findUnique({ where: { shopifyId: String(customerId) } });
 
@@ -544,7 +906,7 @@ router.post("/media/:id/like", async (req, res) => {
         // Get new count
         const likeCount = await prisma.like.count({ where: { mediaId: id } });
 
-        res.json({ success: true, liked, likeCount });
+        res.json({ success: true, liked, likeCount, mediaId: id });
 
     } catch (error) {
         console.error("Like Error:", error);
@@ -552,46 +914,168 @@ router.post("/media/:id/like", async (req, res) => {
     }
 });
 
+/**
+ * Public media by local ID, or null if it isn't visible
+ * Files of a post resolve to the cover, which holds the post's comments and reports.
+ */
+async function findPublicMedia(id, shop) {
+    const media = await prisma.media.findFirst({ where: { id, shop, ...PUBLIC_MEDIA } });
+    return media && findPostCover(media);
+}
+
+/**
+ * Comment thread of a media item (approved comments, plus the viewer's pending ones when signed)
+ * GET /shopify/media/:id/comments?customerId=...&signature=...
+ */
+router.get("/media/:id/comments", async (req, res) => {
+    try {
+        const { customerId, signature } = req.query;
+
+        const media = await findPublicMedia(req.params.id, req.shop);
+        if (!media) return res.status(404).json({ error: "Media not found" });
+
+        let viewerId;
+        if (customerId && signature && verifyShopifySignature(customerId, signature, { required: true })) {
+            const viewer = await prisma.customer.findUnique({ where: { shopifyId: String(customerId) } });
+            viewerId = viewer?.id;
+        }
+
+        const comments = await listComments(media.id, viewerId);
+        res.json({ comments });
+    } catch (error) {
+        console.error("Error fetching comments:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Post a comment or reply; it shows up once approved
+ * POST /shopify/media/:id/comments { customerId, signature, body, parentId }
+ */
+router.post("/media/:id/comments", requireCustomerSignature, async (req, res) => {
+    try {
+        if (!req.customer) {
+            return res.status(404).json({ error: "Customer not found in DB. Make a purchase first." });
+        }
+
+        const media = await findPublicMedia(req.params.id, req.shop);
+        if (!media) return res.status(404).json({ error: "Media not found" });
+
+        const { comment, error } = await createComment({
+            mediaId: media.id,
+            customerId: req.customer.id,
+            body: req.body.body,
+            parentId: req.body.parentId
+        });
+        if (error) return res.status(400).json({ error });
+
+        res.status(201).json({ success: true, comment });
+    } catch (error) {
+        console.error("Error posting comment:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete an own comment
+ * DELETE /shopify/media/:id/comments/:commentId?customerId=...&signature=...
+ */
+router.delete("/media/:id/comments/:commentId", requireCustomerSignature, async (req, res) => {
+    try {
+        const deleted = req.customer && await deleteOwnComment(req.params.commentId, req.customer.id, req.params.id);
+        if (!deleted) return res.status(404).json({ error: "Comment not found" });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Error deleting comment:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Report media to the moderators; enough reports hide it until reviewed
+ * POST /shopify/media/:id/reports { customerId, signature, reason, details }
+ */
+router.post("/media/:id/reports", requireCustomerSignature, async (req, res) => {
+    try {
+        if (!req.customer) {
+            return res.status(404).json({ error: "Customer not found in DB. Make a purchase first." });
+        }
+
+        const media = await findPublicMedia(req.params.id, req.shop);
+        if (!media) return res.status(404).json({ error: "Media not found" });
+        if (media.customerId === req.customer.id) {
+            return res.status(400).json({ error: "You can't report your own upload" });
+        }
+
+        const { data, error: invalid } = parseReport(req.body);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const { error } = await createReport({ mediaId: media.id, customerId: req.customer.id, ...data });
+        if (error) return res.status(409).json({ error });
+
+        // Whether it got hidden stays internal, so reporters can't probe the threshold
+        res.status(201).json({ success: true });
+    } catch (error) {
+        console.error("Error reporting media:", error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Approved community media of a product, with captions, alt text, tags and likes
+ * GET /shopify/products/:productId/media?customerId=...&signature=...&variantId=...&tag=amigurumi&sort=newest|most_liked|trending&limit=24&cursor=...
+ * A signed customer also gets likedByUser.
+ * Pass the returned nextCursor (with the same sort) to get the next page.
+ */
 router.get("/products/:productId/media", async (req, res) => {
     try {
         const { productId } = req.params;
-        const { customerId } = req.query; // Shopify Customer ID
+        const { customerId, signature, variantId, tag } = req.query; // Shopify Customer ID, optional Variant ID and tag
 
+        const paging = parseGalleryQuery(req.query);
+        if (paging.error) return res.status(400).json({ error: paging.error });
+
+        // Only a signed customer gets likedByUser
         let dbCustomerId = null;
-        if (customerId) {
+        if (customerId && signature && verifyShopifySignature(customerId, signature, { required: true })) {
             const dbCustomer = await prisma.customer.findUnique({
                 where: { shopifyId: String(customerId) }
             });
             if (dbCustomer) dbCustomerId = dbCustomer.id;
         }
 
-        // productId is Shopify Product ID
-        const media = await prisma.media.findMany({
-            where: {
-                shopifyProductId: String(productId),
-                approved: true
-            },
-            orderBy: { createdAt: 'desc' },
+        // productId is Shopify Product ID; like counts come from the database
+        const { media: mediaRecords, nextCursor } = await listGalleryMedia({
+            shop: req.shop,
+            productId,
+            variantId,
+            tag,
+            ...paging,
+            viewerId: dbCustomerId,
             include: {
-                customer: {
-                    select: { firstName: true, lastName: true }
-                },
-                likes: true // Include likes to calculate count and status
+                customer: { select: AUTHOR_SELECT }
             }
         });
 
-        // Map response
-        const mappedMedia = media.map(m => {
-            const likedByUser = dbCustomerId ? m.likes.some(l => l.customerId === dbCustomerId) : false;
-            return {
-                ...m,
-                likes: undefined, // Remove raw likes array
-                likeCount: m.likes.length,
-                likedByUser
-            };
-        });
+        // Public fields only; names follow each creator's privacy setting
+        const media = mediaRecords.map(m => ({
+            id: m.id,
+            url: m.url,
+            type: m.type,
+            shopifyProductId: m.shopifyProductId,
+            shopifyVariantId: m.shopifyVariantId,
+            caption: m.caption,
+            altText: m.altText,
+            tags: m.tags,
+            files: m.files,
+            customer: toPublicAuthor(m.customer),
+            likeCount: m.likeCount,
+            likedByUser: m.likedByUser,
+            createdAt: m.createdAt
+        }));
 
-        res.json({ media: mappedMedia });
+        res.json({ media, nextCursor });
     } catch (error) {
         console.error("Error fetching media:", error);
         res.status(500).json({ error: error.message });
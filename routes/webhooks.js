@@ -0,0 +1,290 @@
+import { Router } from "express";
+import crypto from "crypto";
+import prisma from "../db.js";
+import {
+    savePaidOrder,
+    cancelOrder,
+    applyRefund,
+    syncOrderUpdate,
+} from "../services/orders.js";
+import { exportCustomerData, redactCustomer, redactShop } from "../services/privacy.js";
+import { destroyMediaAsset } from "../services/cloudinary.js";
+import { getDefaultShop, removeSession } from "../services/shopify.js";
+import { indexOrderOwnership } from "../services/ownership.js";
+
+const router = Router();
+
+/**
+ * Verify the X-Shopify-Hmac-Sha256 header of an incoming webhook
+ * Set SHOPIFY_WEBHOOK_SKIP_VERIFY=true to replay payloads locally without a signature.
+ */
+function verifyShopifyWebhook(req, res, next) {
+    if (process.env.SHOPIFY_WEBHOOK_SKIP_VERIFY === "true") {
+        console.warn("⚠️ SHOPIFY_WEBHOOK_SKIP_VERIFY is enabled. Skipping webhook HMAC verification.");
+        return next();
+    }
+
+    const secret = process.env.SHOPIFY_CLIENT_SECRET;
+    if (!secret) {
+        console.error("SHOPIFY_CLIENT_SECRET not set. Cannot verify webhook.");
+        return res.status(500).json({ error: "Webhook verification not configured" });
+    }
+
+    const hmacHeader = req.get("X-Shopify-Hmac-Sha256");
+    if (!hmacHeader || !req.rawBody) {
+        console.error("Webhook rejected: missing HMAC header or body");
+        return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+
+    const digest = crypto.createHmac("sha256", secret)
+        .update(req.rawBody)
+        .digest();
+    const received = Buffer.from(hmacHeader, "base64");
+
+    if (received.length !== digest.length || !crypto.timingSafeEqual(received, digest)) {
+        console.error("Webhook rejected: HMAC mismatch");
+        return res.status(401).json({ error: "Invalid webhook signature" });
+    }
+
+    next();
+}
+
+/**
+ * Shop a webhook was sent for (the header is covered by the verified HMAC request)
+ */
+function webhookShop(req) {
+    return req.get("X-Shopify-Shop-Domain") || getDefaultShop();
+}
+
+/**
+ * Run a webhook handler at most once per X-Shopify-Webhook-Id.
+ * The delivery is logged in the same transaction as the handler's writes.
+ * @param {object} req - Express request
+ * @param {string} topic - Fallback topic when X-Shopify-Topic is missing
+ * @param {Function} handler - async (tx, body, shop) => result
+ * @returns {Promise<{duplicate: boolean, result?: any}>}
+ */
+async function processOnce(req, topic, handler) {
+    const webhookId = req.get("X-Shopify-Webhook-Id");
+    const shop = webhookShop(req);
+
+    // Shopify retries deliveries until it gets a 2xx, so acknowledge repeats without side effects
+    if (webhookId) {
+        const delivery = await prisma.webhookDelivery.findUnique({ where: { webhookId } });
+        if (delivery) return { duplicate: true };
+    }
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            // Unique webhookId guards against concurrent retries
+            if (webhookId) {
+                await tx.webhookDelivery.create({
+                    data: {
+                        webhookId,
+                        topic: req.get("X-Shopify-Topic") || topic,
+                        shopDomain: shop,
+                    },
+                });
+            }
+            return handler(tx, req.body, shop);
+        });
+        return { duplicate: false, result };
+    } catch (error) {
+        // Unique violation: a concurrent retry of the same delivery won the race
+        if (error.code === "P2002") return { duplicate: true };
+        throw error;
+    }
+}
+
+/**
+ * Wrap an order handler so the ownership index follows the order's new state
+ */
+function withOwnershipIndex(handler) {
+    return async (tx, body, shop) => {
+        const order = await handler(tx, body, shop);
+        if (order) await indexOrderOwnership(tx, order.id);
+        return order;
+    };
+}
+
+router.use(verifyShopifyWebhook);
+
+router.use((req, res, next) => {
+    if (!req.body || Object.keys(req.body).length === 0) {
+        console.error("Empty webhook body received");
+        return res.status(400).json({ error: "Empty body" });
+    }
+    next();
+});
+
+/**
+ * orders/paid
+ * POST /webhook/newPaidOrder
+ */
+router.post("/newPaidOrder", async (req, res) => {
+    console.log("Webhook received");
+
+    try {
+        const { duplicate, result: savedOrder } = await processOnce(req, "orders/paid", withOwnershipIndex(savePaidOrder));
+
+        if (!duplicate && !req.body.customer) {
+            console.log(`Order ${req.body.id} has no customer (guest or POS). Not stored.`);
+            return res.json({ message: "Order without customer" });
+        }
+        if (duplicate || !savedOrder) {
+            console.log(`Order ${req.body.id} already processed. Skipping.`);
+            return res.json({ message: "Already processed" });
+        }
+
+        console.log(`Order ${savedOrder.id} processed successfully.`);
+        res.json({ message: "Order processed" });
+    } catch (error) {
+        console.error("Error processing webhook:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+/**
+ * orders/cancelled
+ * POST /webhook/orderCancelled
+ */
+router.post("/orderCancelled", async (req, res) => {
+    try {
+        const { duplicate, result: order } = await processOnce(req, "orders/cancelled", withOwnershipIndex(cancelOrder));
+
+        if (duplicate) return res.json({ message: "Already processed" });
+        if (!order) {
+            console.log(`Cancelled order ${req.body.id} not found locally. Ignoring.`);
+            return res.json({ message: "Order not found" });
+        }
+
+        console.log(`Order ${order.id} cancelled.`);
+        res.json({ message: "Order cancelled" });
+    } catch (error) {
+        console.error("Error processing cancellation webhook:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+/**
+ * refunds/create
+ * POST /webhook/refundCreated
+ */
+router.post("/refundCreated", async (req, res) => {
+    try {
+        const { duplicate, result: order } = await processOnce(req, "refunds/create", withOwnershipIndex(applyRefund));
+
+        if (duplicate) return res.json({ message: "Already processed" });
+        if (!order) {
+            console.log(`Refunded order ${req.body.order_id} not found locally. Ignoring.`);
+            return res.json({ message: "Order not found" });
+        }
+
+        console.log(`Refund applied to order ${order.id} (${order.status}).`);
+        res.json({ message: "Refund processed" });
+    } catch (error) {
+        console.error("Error processing refund webhook:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+/**
+ * orders/updated (order edits, removals, status changes)
+ * POST /webhook/orderUpdated
+ */
+router.post("/orderUpdated", async (req, res) => {
+    try {
+        const { duplicate, result: order } = await processOnce(req, "orders/updated", withOwnershipIndex(syncOrderUpdate));
+
+        if (duplicate) return res.json({ message: "Already processed" });
+        if (!order) return res.json({ message: "Order not found" });
+
+        console.log(`Order ${order.id} synced (${order.status}).`);
+        res.json({ message: "Order updated" });
+    } catch (error) {
+        console.error("Error processing order update webhook:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+// ============================================
+// Mandatory GDPR Compliance Webhooks
+// ============================================
+
+/**
+ * customers/data_request
+ * POST /webhook/customersDataRequest
+ * Responds with the customer's full data bundle so it can be forwarded to the merchant.
+ */
+router.post("/customersDataRequest", async (req, res) => {
+    try {
+        const { customer, shop_domain, data_request } = req.body;
+        console.log(`📦 Data request ${data_request?.id} from ${shop_domain} for customer ${customer?.id}`);
+
+        const bundle = customer?.id ? await exportCustomerData(customer.id, webhookShop(req)) : null;
+        if (!bundle) {
+            return res.json({ message: "No data stored for this customer", data: null });
+        }
+
+        // Counts only: the bundle itself is personal data and stays out of the logs
+        console.log(`📦 Data request ${data_request?.id} exported: ${bundle.orders.length} orders, ${bundle.media.length} media, ${bundle.likes.length} likes, ${bundle.comments.length} comments`);
+        res.json({ message: "Customer data exported", data: bundle });
+    } catch (error) {
+        console.error("Error processing data request webhook:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+/**
+ * customers/redact
+ * POST /webhook/customersRedact
+ */
+router.post("/customersRedact", async (req, res) => {
+    try {
+        const { customer } = req.body;
+        if (!customer?.id) return res.status(400).json({ error: "customer.id is required" });
+
+        const { duplicate, result: deletedMedia } = await processOnce(req, "customers/redact",
+            (tx, body) => redactCustomer(tx, body.customer.id));
+        if (duplicate) return res.json({ message: "Already processed" });
+
+        // Assets are destroyed only after the DB transaction commits
+        for (const media of deletedMedia) {
+            await destroyMediaAsset(media);
+        }
+
+        console.log(`🧹 Customer ${customer.id} redacted (${deletedMedia.length} files removed).`);
+        res.json({ message: "Customer redacted" });
+    } catch (error) {
+        console.error("Error processing customer redact webhook:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+/**
+ * shop/redact
+ * POST /webhook/shopRedact
+ */
+router.post("/shopRedact", async (req, res) => {
+    try {
+        const shop_domain = webhookShop(req);
+
+        const { duplicate, result: deletedMedia } = await processOnce(req, "shop/redact",
+            (tx, body, shop) => redactShop(tx, shop));
+        if (duplicate) return res.json({ message: "Already processed" });
+
+        await removeSession(shop_domain);
+
+        for (const media of deletedMedia) {
+            await destroyMediaAsset(media);
+        }
+
+        console.log(`🧹 Shop ${shop_domain} redacted (${deletedMedia.length} files removed).`);
+        res.json({ message: "Shop redacted" });
+    } catch (error) {
+        console.error("Error processing shop redact webhook:", error);
+        res.status(500).json({ error: "Internal Server Error" });
+    }
+});
+
+export default router;
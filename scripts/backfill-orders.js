@@ -0,0 +1,152 @@
+import "dotenv/config";
+import fs from "fs";
+import prisma from "../db.js";
+import { loadStoredSessions, getOrdersPage, getDefaultShop } from "../services/shopify.js";
+import { savePaidOrder, syncOrderUpdate } from "../services/orders.js";
+import { indexOrderOwnership } from "../services/ownership.js";
+
+/**
+ * Import orders placed before the orders/paid webhook was registered.
+ *
+ * Usage:
+ *   node scripts/backfill-orders.js [--from=2024-01-01] [--to=2024-12-31]
+ *                                   [--shop=my-store.myshopify.com] [--dry-run] [--resume]
+ *                                   [--checkpoint=.backfill-checkpoint.json]
+ *
+ * Orders are saved with the same logic as the webhook (services/orders.js).
+ * After every page the last order id is written to the checkpoint file;
+ * --resume continues from there.
+ *
+ * Orders older than 60 days need the read_all_orders scope: request it for the app in the
+ * Partner Dashboard, then re-authorize through /shopify/auth. Without it Shopify silently
+ * returns only the last 60 days.
+ */
+
+// Financial statuses that mean the order was paid at some point
+const IMPORTABLE_STATUSES = ["paid", "partially_refunded", "refunded"];
+
+// Window the Orders API returns without read_all_orders
+const RECENT_ORDERS_DAYS = 60;
+
+function parseArgs(argv) {
+    const args = {};
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, "").split("=");
+        args[key] = value ?? true;
+    }
+    return args;
+}
+
+function readCheckpoint(path) {
+    if (!fs.existsSync(path)) return null;
+    return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+function writeCheckpoint(path, checkpoint) {
+    fs.writeFileSync(path, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+async function importOrder(payload, shop) {
+    return prisma.$transaction(async (tx) => {
+        const created = await savePaidOrder(tx, payload, shop);
+        // New and existing orders alike: apply refunds, edits and cancellations
+        const order = await syncOrderUpdate(tx, payload);
+        if (order) await indexOrderOwnership(tx, order.id);
+        return created ? "created" : "updated";
+    });
+}
+
+async function backfillOrders() {
+    const args = parseArgs(process.argv.slice(2));
+    const shop = args.shop || getDefaultShop();
+    const dryRun = !!args["dry-run"];
+    const checkpointPath = args.checkpoint || ".backfill-checkpoint.json";
+
+    if (!shop) {
+        console.error("❌ No shop. Pass --shop or set SHOPIFY_STORE_DOMAIN in .env");
+        process.exitCode = 1;
+        return;
+    }
+
+    const sessions = await loadStoredSessions();
+    const session = sessions.find(s => s.shop === shop);
+    const recentOnlySince = new Date(Date.now() - RECENT_ORDERS_DAYS * 24 * 60 * 60 * 1000);
+    if (!session?.scope?.split(",").includes("read_all_orders") && (!args.from || new Date(args.from) < recentOnlySince)) {
+        console.warn(`⚠️ The ${session ? "stored session" : "env token"} may lack read_all_orders: ` +
+            `Shopify only returns orders of the last ${RECENT_ORDERS_DAYS} days without it. Re-authorize via /shopify/auth.`);
+    }
+
+    const stats = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    let lastOrderId = null;
+
+    if (args.resume) {
+        const checkpoint = readCheckpoint(checkpointPath);
+        if (checkpoint && checkpoint.shop === shop && checkpoint.from === args.from && checkpoint.to === args.to) {
+            lastOrderId = checkpoint.lastOrderId;
+            Object.assign(stats, checkpoint.stats);
+            console.log(`⏩ Resuming after order ${lastOrderId}`);
+        } else {
+            console.log("⚠️ No matching checkpoint found. Starting from the beginning.");
+        }
+    }
+
+    console.log(`📥 Backfilling orders for ${shop}${dryRun ? " (dry run)" : ""}`);
+    if (args.from || args.to) console.log(`   Range: ${args.from || "…"} → ${args.to || "…"}`);
+
+    // since_id returns orders sorted by id, which is what makes the checkpoint resumable
+    let query = {
+        status: "any",
+        financial_status: "any",
+        limit: 250,
+        since_id: lastOrderId || 0,
+    };
+    if (args.from) query.created_at_min = new Date(args.from).toISOString();
+    if (args.to) query.created_at_max = new Date(args.to + "T23:59:59").toISOString();
+
+    while (query) {
+        const { orders, nextPageQuery } = await getOrdersPage(query, shop);
+
+        for (const payload of orders) {
+            if (!IMPORTABLE_STATUSES.includes(payload.financial_status) || !payload.customer) {
+                stats.skipped++;
+                continue;
+            }
+
+            if (dryRun) {
+                const existing = await prisma.order.findUnique({ where: { shopifyId: String(payload.id) } });
+                stats[existing ? "updated" : "created"]++;
+                console.log(`   ${existing ? "update" : "create"} order ${payload.name || payload.id}`);
+                continue;
+            }
+
+            try {
+                stats[await importOrder(payload, shop)]++;
+            } catch (error) {
+                stats.failed++;
+                console.error(`❌ Order ${payload.id} failed:`, error.message);
+            }
+        }
+
+        if (orders.length > 0) {
+            lastOrderId = orders[orders.length - 1].id;
+            if (!dryRun) {
+                writeCheckpoint(checkpointPath, { shop, from: args.from, to: args.to, lastOrderId, stats });
+            }
+        }
+
+        console.log(`   … through order ${lastOrderId}: ${JSON.stringify(stats)}`);
+        query = nextPageQuery;
+    }
+
+    if (!dryRun && fs.existsSync(checkpointPath)) fs.unlinkSync(checkpointPath);
+
+    console.log(`✅ Done. Created: ${stats.created}, Updated: ${stats.updated}, Skipped: ${stats.skipped}, Failed: ${stats.failed}`);
+    if (stats.failed > 0) process.exitCode = 1;
+}
+
+backfillOrders()
+    .catch(error => {
+        console.error("❌ Backfill failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -0,0 +1,34 @@
+import "dotenv/config";
+import prisma from "../db.js";
+
+/**
+ * Assign SHOPIFY_STORE_DOMAIN to rows created before multi-store support.
+ * Run once after deploying the `shop` columns: node scripts/backfill-shop.js
+ */
+async function backfillShop() {
+    const shop = process.env.SHOPIFY_STORE_DOMAIN;
+
+    if (!shop) {
+        console.error("❌ SHOPIFY_STORE_DOMAIN is not set in .env");
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`🔧 Assigning rows without a shop to ${shop}...`);
+
+    const [customers, orders, products, media] = await prisma.$transaction([
+        prisma.customer.updateMany({ where: { shop: null }, data: { shop } }),
+        prisma.order.updateMany({ where: { shop: null }, data: { shop } }),
+        prisma.product.updateMany({ where: { shop: null }, data: { shop } }),
+        prisma.media.updateMany({ where: { shop: null }, data: { shop } }),
+    ]);
+
+    console.log(`✅ Customers: ${customers.count}, Orders: ${orders.count}, Products: ${products.count}, Media: ${media.count}`);
+}
+
+backfillShop()
+    .catch(error => {
+        console.error("❌ Backfill failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -0,0 +1,37 @@
+import "dotenv/config";
+import prisma from "../db.js";
+
+/**
+ * Carry Media.approved over to the new Media.status column.
+ * `prisma db push` would drop `approved` before its values could be copied.
+ *
+ * Run once BEFORE pushing the schema: node scripts/migrate-media-status.js && npx prisma db push
+ */
+async function migrateMediaStatus() {
+    const [approvedColumn] = await prisma.$queryRaw`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'Media' AND column_name = 'approved'
+    `;
+
+    if (!approvedColumn) {
+        console.log("✅ Media.approved is already gone. Nothing to migrate.");
+        return;
+    }
+
+    console.log("🔧 Adding Media.status and copying approvals...");
+
+    await prisma.$executeRaw`ALTER TABLE "Media" ADD COLUMN IF NOT EXISTS "status" TEXT NOT NULL DEFAULT 'PENDING'`;
+    const updated = await prisma.$executeRaw`
+        UPDATE "Media" SET "status" = 'APPROVED'
+        WHERE "approved" = true AND "status" = 'PENDING'
+    `;
+
+    console.log(`✅ ${updated} approved media migrated.`);
+}
+
+migrateMediaStatus()
+    .catch(error => {
+        console.error("❌ Migration failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
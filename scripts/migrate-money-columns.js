@@ -0,0 +1,48 @@
+import "dotenv/config";
+import prisma from "../db.js";
+
+/**
+ * Convert the text price columns to DECIMAL in place, keeping their values.
+ * `prisma db push` can't cast text to numeric and would drop and recreate them instead.
+ *
+ * Run once BEFORE pushing the schema: node scripts/migrate-money-columns.js && npx prisma db push
+ * (db push then adds the new money and line item columns)
+ */
+
+const COLUMNS = [
+    { table: "Order", column: "totalPrice" },
+    { table: "PurchasedItem", column: "price" },
+];
+
+async function migrateMoneyColumns() {
+    for (const { table, column } of COLUMNS) {
+        const [info] = await prisma.$queryRaw`
+            SELECT data_type FROM information_schema.columns
+            WHERE table_name = ${table} AND column_name = ${column}
+        `;
+
+        if (!info) {
+            console.log(`⚠️ ${table}.${column} not found. Skipping.`);
+            continue;
+        }
+        if (info.data_type === "numeric") {
+            console.log(`✅ ${table}.${column} is already numeric.`);
+            continue;
+        }
+
+        console.log(`🔧 Converting ${table}.${column} (${info.data_type}) to DECIMAL(12, 2)...`);
+        // Identifiers come from the constant list above, never from input
+        await prisma.$executeRawUnsafe(
+            `ALTER TABLE "${table}" ALTER COLUMN "${column}" TYPE DECIMAL(12, 2) ` +
+            `USING COALESCE(NULLIF(trim("${column}"), ''), '0')::numeric`
+        );
+        console.log(`✅ ${table}.${column} converted.`);
+    }
+}
+
+migrateMoneyColumns()
+    .catch(error => {
+        console.error("❌ Migration failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -57,4 +57,22 @@ export const uploadStream = (buffer, options = {}) => {
     });
 };
 
+/**
+ * Delete the Cloudinary asset behind a Media record
+ * Failures are logged and swallowed so DB cleanup can continue.
+ * @param {Object} media - Media record ({ cloudinaryId, type })
+ * @returns {Promise<boolean>} - true if Cloudinary accepted the deletion
+ */
+export const destroyMediaAsset = async (media) => {
+    try {
+        const result = await cloudinary.uploader.destroy(media.cloudinaryId, {
+            resource_type: media.type === 'VIDEO' ? 'video' : 'image'
+        });
+        return result.result === 'ok' || result.result === 'not found';
+    } catch (error) {
+        console.warn(`Could not delete Cloudinary asset ${media.cloudinaryId}:`, error);
+        return false;
+    }
+};
+
 export default cloudinary;
@@ -0,0 +1,142 @@
+import prisma from "../db.js";
+import { MEDIA_STATUS, moderationData } from "./moderation.js";
+import { AUTHOR_SELECT, toPublicAuthor } from "./profiles.js";
+
+/**
+ * Comments on community media. They go through the same moderation states as media:
+ * only APPROVED comments are public, authors also see their own pending ones.
+ */
+
+export const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Public shape of a comment
+ * @param {object} comment - Comment including its customer
+ * @param {string} [viewerId] - Local Customer ID of the signed viewer
+ */
+function toPublicComment(comment, viewerId) {
+    const deleted = !!comment.deletedAt;
+    return {
+        id: comment.id,
+        parentId: comment.parentId,
+        body: deleted ? null : comment.body,
+        deleted,
+        status: comment.status,
+        author: deleted ? null : toPublicAuthor(comment.customer),
+        own: !!viewerId && comment.customerId === viewerId,
+        createdAt: comment.createdAt,
+        replies: [],
+    };
+}
+
+/**
+ * Nest comments under their parents. Replies whose parent isn't visible are dropped,
+ * and deleted comments without visible replies are left out.
+ * @param {Array} comments - Flat list, oldest first
+ * @returns {Array} Top-level comments with `replies`
+ */
+export function buildCommentTree(comments) {
+    const byId = new Map(comments.map(c => [c.id, c]));
+    const roots = [];
+
+    for (const comment of comments) {
+        if (!comment.parentId) roots.push(comment);
+        else byId.get(comment.parentId)?.replies.push(comment);
+    }
+
+    const prune = (list) => list.filter(comment => {
+        comment.replies = prune(comment.replies);
+        return !comment.deleted || comment.replies.length > 0;
+    });
+    return prune(roots);
+}
+
+/**
+ * Comment thread of a media item
+ * @param {string} mediaId - Local Media ID
+ * @param {string} [viewerId] - Local Customer ID; their own pending comments are included
+ * @returns {Promise<Array>} Comment tree
+ */
+export async function listComments(mediaId, viewerId) {
+    const visibility = [{ status: MEDIA_STATUS.APPROVED }];
+    if (viewerId) visibility.push({ customerId: viewerId, status: MEDIA_STATUS.PENDING });
+
+    const comments = await prisma.comment.findMany({
+        where: { mediaId, OR: visibility },
+        orderBy: { createdAt: "asc" },
+        include: { customer: { select: AUTHOR_SELECT } },
+    });
+
+    return buildCommentTree(comments.map(c => toPublicComment(c, viewerId)));
+}
+
+/**
+ * Post a comment (pending until approved)
+ * @param {object} params
+ * @param {string} params.mediaId - Local Media ID
+ * @param {string} params.customerId - Local Customer ID of the author
+ * @param {string} params.body - Comment text
+ * @param {string} [params.parentId] - Comment being replied to (must be approved, same media)
+ * @returns {Promise<{comment?: object, error?: string}>}
+ */
+export async function createComment({ mediaId, customerId, body, parentId }) {
+    const text = typeof body === "string" ? body.trim() : "";
+    if (!text) return { error: "Comment body is required" };
+    if (text.length > MAX_COMMENT_LENGTH) {
+        return { error: `Comments must be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    if (parentId) {
+        const parent = await prisma.comment.findFirst({
+            where: { id: parentId, mediaId, status: MEDIA_STATUS.APPROVED, deletedAt: null },
+        });
+        if (!parent) return { error: "The comment you are replying to doesn't exist" };
+    }
+
+    const comment = await prisma.comment.create({
+        data: { mediaId, customerId, body: text, parentId: parentId || null },
+        include: { customer: { select: AUTHOR_SELECT } },
+    });
+
+    return { comment: toPublicComment(comment, customerId) };
+}
+
+/**
+ * Delete an own comment. Comments with replies keep their place in the thread
+ * with the text removed; others are deleted.
+ * @param {string} commentId - Comment ID
+ * @param {string} customerId - Local Customer ID (must be the author)
+ * @param {string} mediaId - Local Media ID the comment belongs to
+ * @returns {Promise<boolean>} false when the comment doesn't exist or isn't theirs
+ */
+export async function deleteOwnComment(commentId, customerId, mediaId) {
+    const comment = await prisma.comment.findFirst({
+        where: { id: commentId, customerId, mediaId, deletedAt: null },
+        include: { _count: { select: { replies: true } } },
+    });
+    if (!comment) return false;
+
+    if (comment._count.replies > 0) {
+        await prisma.comment.update({
+            where: { id: commentId },
+            data: { body: "", deletedAt: new Date() },
+        });
+    } else {
+        await prisma.comment.delete({ where: { id: commentId } });
+    }
+    return true;
+}
+
+/**
+ * Set the moderation status of a comment
+ * @param {string} commentId - Comment ID
+ * @param {string} status - One of MEDIA_STATUS
+ * @param {object} moderation - { adminId, reason }, see moderationData
+ * @returns {Promise<object>} The updated comment
+ */
+export async function setCommentStatus(commentId, status, moderation = {}) {
+    return prisma.comment.update({
+        where: { id: commentId },
+        data: moderationData(status, moderation),
+    });
+}
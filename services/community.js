@@ -0,0 +1,93 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.js";
+import { mediaFilterSql } from "./gallery.js";
+import { AUTHOR_SELECT, toPublicAuthor } from "./profiles.js";
+
+/**
+ * Store-wide community stats (homepage "community makes" section)
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+export const DEFAULT_LEADERBOARD_DAYS = 30;
+export const MAX_LEADERBOARD_DAYS = 365;
+export const MAX_LEADERBOARD_SIZE = 50;
+
+const LEADERBOARD_SORTS = {
+    likes: Prisma.sql`"likes" DESC, "posts" DESC`,
+    posts: Prisma.sql`"posts" DESC, "likes" DESC`,
+};
+
+/**
+ * Check leaderboard query parameters
+ * @param {object} query - { days, limit, sort }
+ * @returns {{days?: number, limit?: number, sort?: string, error?: string}}
+ */
+export function parseLeaderboardQuery({ days, limit, sort = "likes" } = {}) {
+    const window = days === undefined ? DEFAULT_LEADERBOARD_DAYS : Number(days);
+    if (!Number.isInteger(window) || window < 1 || window > MAX_LEADERBOARD_DAYS) {
+        return { error: `days must be between 1 and ${MAX_LEADERBOARD_DAYS}` };
+    }
+
+    const size = limit === undefined ? 10 : Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_LEADERBOARD_SIZE) {
+        return { error: `limit must be between 1 and ${MAX_LEADERBOARD_SIZE}` };
+    }
+
+    if (!(sort in LEADERBOARD_SORTS)) {
+        return { error: `sort must be one of: ${Object.keys(LEADERBOARD_SORTS).join(", ")}` };
+    }
+
+    return { days: window, limit: size, sort };
+}
+
+/**
+ * Top creators of a time window: approved posts published in it and likes their
+ * approved posts received in it
+ * @param {object} params
+ * @param {string} [params.shop] - Shop domain
+ * @param {number} [params.days] - Window length, ending now
+ * @param {number} [params.limit]
+ * @param {"likes"|"posts"} [params.sort="likes"] - Ranking, the other count breaks ties
+ * @returns {Promise<Array<{rank: number, customer: object, posts: number, likes: number}>>} customer as in toPublicAuthor
+ */
+export async function getLeaderboard({ shop, days = DEFAULT_LEADERBOARD_DAYS, limit = 10, sort = "likes" } = {}) {
+    const since = new Date(Date.now() - days * DAY);
+    const filter = mediaFilterSql({ shop });
+
+    const rows = await prisma.$queryRaw`
+        WITH posts AS (
+            SELECT m."customerId", count(*)::int AS "posts"
+            FROM "Media" m
+            WHERE ${filter} AND m."createdAt" >= ${since}
+            GROUP BY 1
+        ), likes AS (
+            SELECT m."customerId", count(*)::int AS "likes"
+            FROM "Like" l
+            JOIN "Media" m ON m."id" = l."mediaId"
+            WHERE ${filter} AND l."createdAt" >= ${since}
+            GROUP BY 1
+        )
+        SELECT c."id" AS "customerId",
+               coalesce(p."posts", 0) AS "posts",
+               coalesce(k."likes", 0) AS "likes"
+        FROM posts p
+        FULL JOIN likes k ON k."customerId" = p."customerId"
+        JOIN "Customer" c ON c."id" = coalesce(p."customerId", k."customerId")
+        WHERE c."redactedAt" IS NULL
+        ORDER BY ${LEADERBOARD_SORTS[sort]}, c."id"
+        LIMIT ${limit}
+    `;
+
+    const customers = await prisma.customer.findMany({
+        where: { id: { in: rows.map(row => row.customerId) } },
+        select: AUTHOR_SELECT,
+    });
+    const byId = new Map(customers.map(c => [c.id, c]));
+
+    return rows.map((row, index) => ({
+        rank: index + 1,
+        customer: toPublicAuthor(byId.get(row.customerId) || null),
+        posts: row.posts,
+        likes: row.likes,
+    }));
+}
@@ -0,0 +1,187 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.js";
+import { MEDIA_STATUS } from "./moderation.js";
+import { toNumericId } from "./orders.js";
+import { normalizeTag } from "./media.js";
+
+/**
+ * Paginated public media, one entry per post (its cover, with all files in `files`).
+ * Pages are keyset based: the cursor carries the sort score, createdAt and id of the
+ * last row, so pages stay stable while new media is posted.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+export const TRENDING_WINDOW_DAYS = 7;
+
+export const GALLERY_SORTS = ["newest", "most_liked", "trending"];
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+// Columns of each file of a post
+const FILE_SELECT = { id: true, url: true, type: true, altText: true, position: true };
+
+function pick(row, select) {
+    return Object.fromEntries(Object.keys(select).map(key => [key, row[key]]));
+}
+
+/**
+ * Encode the position after a row
+ * @param {string} sort - One of GALLERY_SORTS
+ * @param {{score: number, createdAt: Date, id: string}} row
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(sort, row) {
+    const payload = { sort, score: row.score, createdAt: row.createdAt.toISOString(), id: row.id };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decode a cursor from a request
+ * @param {string} cursor
+ * @param {string} sort - Sort the cursor must have been issued for
+ * @returns {{score: number, createdAt: Date, id: string}|null} null when invalid
+ */
+function decodeCursor(cursor, sort) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+        const createdAt = new Date(payload.createdAt);
+        if (payload.sort !== sort || !Number.isInteger(payload.score) || isNaN(createdAt) || typeof payload.id !== "string") {
+            return null;
+        }
+        return { score: payload.score, createdAt, id: payload.id };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check gallery query parameters
+ * @param {object} query - { sort, limit, cursor }
+ * @returns {{sort?: string, limit?: number, cursor?: object|null, error?: string}}
+ */
+export function parseGalleryQuery({ sort = "newest", limit, cursor } = {}) {
+    if (!GALLERY_SORTS.includes(sort)) {
+        return { error: `sort must be one of: ${GALLERY_SORTS.join(", ")}` };
+    }
+
+    const size = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+        return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+
+    let position = null;
+    if (cursor !== undefined) {
+        position = decodeCursor(cursor, sort);
+        if (!position) return { error: "Invalid cursor" };
+    }
+
+    return { sort, limit: size, cursor: position };
+}
+
+/**
+ * Same filter as PUBLIC_MEDIA plus the gallery filters, for raw queries on "Media" aliased as m
+ * Only covers match, so each post counts once.
+ * @param {object} filters - { shop, productId, variantId, tag, customerId }, all optional
+ * @returns {Prisma.Sql}
+ */
+export function mediaFilterSql({ shop, productId, variantId, tag, customerId }) {
+    const conditions = [
+        Prisma.sql`m."status" = ${MEDIA_STATUS.APPROVED}`,
+        Prisma.sql`m."deletedAt" IS NULL`,
+        Prisma.sql`m."position" = 0`,
+    ];
+    if (shop) conditions.push(Prisma.sql`m."shop" = ${shop}`);
+    if (productId) conditions.push(Prisma.sql`m."shopifyProductId" = ${String(productId)}`);
+    if (variantId) conditions.push(Prisma.sql`m."shopifyVariantId" = ${toNumericId(variantId)}`);
+    if (tag) conditions.push(Prisma.sql`${normalizeTag(tag)} = ANY(m."tags")`);
+    if (customerId) conditions.push(Prisma.sql`m."customerId" = ${customerId}`);
+    return Prisma.join(conditions, " AND ");
+}
+
+// Likes counted towards the sort score: none, all, or those of the trending window
+function scoreJoinSql(sort) {
+    if (sort === "most_liked") return Prisma.sql`l."mediaId" = m."id"`;
+    if (sort === "trending") {
+        return Prisma.sql`l."mediaId" = m."id" AND l."createdAt" >= ${new Date(Date.now() - TRENDING_WINDOW_DAYS * DAY)}`;
+    }
+    return Prisma.sql`FALSE`;
+}
+
+/**
+ * One page of approved media, with like counts computed in the database
+ * @param {object} params
+ * @param {string} [params.shop] - Shop domain
+ * @param {string} [params.productId] - Shopify Product ID (all products when omitted)
+ * @param {string} [params.variantId] - Shopify Variant ID (numeric or GID)
+ * @param {string} [params.tag]
+ * @param {string} [params.customerId] - Local Customer ID of the uploader (creator profiles)
+ * @param {string} [params.sort="newest"] - newest, most_liked, or trending (likes of the last TRENDING_WINDOW_DAYS)
+ * @param {number} [params.limit]
+ * @param {object|null} [params.cursor] - Decoded cursor from parseGalleryQuery
+ * @param {string} [params.viewerId] - Local Customer ID, to flag media they liked
+ * @param {object} [params.include] - Extra Prisma include for the media rows
+ * @returns {Promise<{media: Array, nextCursor: string|null}>} Covers with files, likeCount and likedByUser
+ */
+export async function listGalleryMedia({
+    shop,
+    productId,
+    variantId,
+    tag,
+    customerId,
+    sort = "newest",
+    limit = DEFAULT_PAGE_SIZE,
+    cursor = null,
+    viewerId,
+    include = {},
+}) {
+    const after = cursor
+        ? Prisma.sql`WHERE ("score", "createdAt", "id") < (${cursor.score}, ${cursor.createdAt}, ${cursor.id})`
+        : Prisma.empty;
+
+    // One row more than asked tells whether there is a next page
+    const rows = await prisma.$queryRaw`
+        SELECT * FROM (
+            SELECT m."id", m."createdAt", count(l."id")::int AS "score"
+            FROM "Media" m
+            LEFT JOIN "Like" l ON ${scoreJoinSql(sort)}
+            WHERE ${mediaFilterSql({ shop, productId, variantId, tag, customerId })}
+            GROUP BY m."id"
+        ) ranked
+        ${after}
+        ORDER BY "score" DESC, "createdAt" DESC, "id" DESC
+        LIMIT ${limit + 1}
+    `;
+
+    const page = rows.slice(0, limit);
+    const ids = page.map(row => row.id);
+
+    const [media, viewerLikes] = await Promise.all([
+        prisma.media.findMany({
+            where: { id: { in: ids } },
+            include: {
+                ...include,
+                post: { select: { media: { orderBy: { position: "asc" }, select: FILE_SELECT } } },
+                _count: { select: { likes: true } },
+            },
+        }),
+        viewerId
+            ? prisma.like.findMany({ where: { customerId: viewerId, mediaId: { in: ids } }, select: { mediaId: true } })
+            : [],
+    ]);
+
+    const byId = new Map(media.map(m => [m.id, m]));
+    const liked = new Set(viewerLikes.map(like => like.mediaId));
+
+    return {
+        media: ids.filter(id => byId.has(id)).map(id => {
+            const { _count, post, ...m } = byId.get(id);
+            return {
+                ...m,
+                files: post ? post.media : [pick(m, FILE_SELECT)],
+                likeCount: _count.likes,
+                likedByUser: liked.has(id),
+            };
+        }),
+        nextCursor: rows.length > limit ? encodeCursor(sort, page[page.length - 1]) : null,
+    };
+}
@@ -0,0 +1,69 @@
+/**
+ * Customer-provided details of community media (caption, alt text, tags)
+ */
+
+export const MAX_CAPTION_LENGTH = 500;
+export const MAX_ALT_TEXT_LENGTH = 250;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize a tag: lowercase, no leading "#", spaces collapsed to "-"
+ * @param {string} tag - e.g. "#Amigurumi", "hook 3.5mm"
+ * @returns {string} e.g. "amigurumi", "hook-3.5mm"
+ */
+export function normalizeTag(tag) {
+    return String(tag)
+        .trim()
+        .replace(/^#+/, "")
+        .toLowerCase()
+        .replace(/\s+/g, "-");
+}
+
+/**
+ * Parse tags from a request: an array, or a comma separated string (multipart forms)
+ * @param {string|string[]} input
+ * @returns {{tags?: string[], error?: string}} Unique normalized tags, or an error message
+ */
+export function parseTags(input) {
+    if (input === undefined || input === null || input === "") return { tags: [] };
+
+    const raw = Array.isArray(input) ? input : String(input).split(",");
+    const tags = [...new Set(raw.map(normalizeTag).filter(Boolean))];
+
+    if (tags.length > MAX_TAGS) {
+        return { error: `At most ${MAX_TAGS} tags` };
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    return { tags };
+}
+
+/**
+ * Validate caption, alt text and tags from a request body
+ * Fields missing from the body are left out of `data`, so it can be used for partial updates.
+ * @param {object} body - { caption, altText, tags }
+ * @returns {{data?: object, error?: string}} Prisma data, or an error message
+ */
+export function parseMediaDetails(body = {}) {
+    const data = {};
+
+    for (const [field, max] of [["caption", MAX_CAPTION_LENGTH], ["altText", MAX_ALT_TEXT_LENGTH]]) {
+        if (body[field] === undefined) continue;
+
+        const value = typeof body[field] === "string" ? body[field].trim() : "";
+        if (value.length > max) {
+            return { error: `${field} must be at most ${max} characters` };
+        }
+        data[field] = value || null;
+    }
+
+    if (body.tags !== undefined) {
+        const { tags, error } = parseTags(body.tags);
+        if (error) return { error };
+        data.tags = tags;
+    }
+
+    return { data };
+}
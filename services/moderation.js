@@ -0,0 +1,310 @@
+import prisma from "../db.js";
+import { uploadStream, destroyMediaAsset } from "./cloudinary.js";
+import { postMembersWhere } from "./posts.js";
+
+/**
+ * Moderation states of community media. Only APPROVED media is public.
+ */
+export const MEDIA_STATUS = {
+    PENDING: "PENDING",
+    APPROVED: "APPROVED",
+    REJECTED: "REJECTED", // Refused, with a reason shown to the uploader
+    HIDDEN: "HIDDEN", // Taken down from the public gallery (e.g. after approval)
+};
+
+// Filter for media visible to customers: approved and not in the trash
+export const PUBLIC_MEDIA = {
+    status: MEDIA_STATUS.APPROVED,
+    deletedAt: null,
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+export const TRASH_RETENTION_DAYS = Number(process.env.MEDIA_TRASH_RETENTION_DAYS || 30);
+
+/**
+ * Check a status coming from a request (case-insensitive)
+ * @param {string} status
+ * @returns {string|null} Normalized status, or null when invalid
+ */
+export function parseMediaStatus(status) {
+    const normalized = String(status || "").toUpperCase();
+    return MEDIA_STATUS[normalized] || null;
+}
+
+/**
+ * Moderation columns for a decision (shared by media and comments)
+ * @param {string} status - One of MEDIA_STATUS
+ * @param {object} moderation
+ * @param {string} [moderation.adminId] - AdminUser making the decision
+ * @param {string} [moderation.reason] - Rejection reason (required for REJECTED)
+ * @returns {object} Prisma data
+ */
+export function moderationData(status, { adminId, reason } = {}) {
+    if (!Object.values(MEDIA_STATUS).includes(status)) {
+        throw new Error(`Invalid moderation status "${status}"`);
+    }
+    if (status === MEDIA_STATUS.REJECTED && !reason?.trim()) {
+        throw new Error("A reason is required to reject");
+    }
+
+    return {
+        status,
+        rejectionReason: status === MEDIA_STATUS.REJECTED ? reason.trim() : null,
+        moderatedById: status === MEDIA_STATUS.PENDING ? null : adminId || null,
+        moderatedAt: status === MEDIA_STATUS.PENDING ? null : new Date(),
+    };
+}
+
+/**
+ * Set the moderation status of a media item, and of the other files of its post
+ * @param {string} mediaId - Local Media ID
+ * @param {string} status - One of MEDIA_STATUS
+ * @param {object} moderation - { adminId, reason }, see moderationData
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<object>} The updated media
+ */
+export async function setMediaStatus(mediaId, status, moderation = {}, client = prisma) {
+    const media = await client.media.findUniqueOrThrow({ where: { id: mediaId } });
+
+    await client.media.updateMany({
+        where: postMembersWhere(media),
+        data: moderationData(status, moderation),
+    });
+    return client.media.findUnique({ where: { id: mediaId } });
+}
+
+// Bulk actions and the status they set (trash moves the media to the trash and delete
+// removes it for good instead; permanent deletion is only offered on the trash page)
+const BULK_ACTIONS = {
+    approve: MEDIA_STATUS.APPROVED,
+    reject: MEDIA_STATUS.REJECTED,
+    hide: MEDIA_STATUS.HIDDEN,
+    trash: null,
+    delete: null,
+};
+
+export const BULK_MODERATION_LIMIT = 500;
+
+/**
+ * Delete a media row, or all files of its post, with their likes, comments and reports
+ * (Cloudinary assets must be destroyed after commit)
+ * @param {object} tx - Prisma transaction client
+ * @param {string} mediaId - Local Media ID
+ * @returns {Promise<object[]>} The deleted media, empty if it doesn't exist
+ */
+export async function deleteMediaRecords(tx, mediaId) {
+    const media = await tx.media.findUnique({ where: { id: mediaId } });
+    if (!media) return [];
+
+    const members = await tx.media.findMany({ where: postMembersWhere(media) });
+    const ids = members.map(m => m.id);
+
+    await tx.like.deleteMany({ where: { mediaId: { in: ids } } });
+    await tx.comment.deleteMany({ where: { mediaId: { in: ids } } });
+    await tx.report.deleteMany({ where: { mediaId: { in: ids } } });
+    await tx.media.deleteMany({ where: { id: { in: ids } } });
+    if (media.postId) await tx.post.delete({ where: { id: media.postId } });
+    return members;
+}
+
+/**
+ * Apply a moderation action to many media. Each item runs in its own transaction,
+ * so one failure doesn't roll back the others; failures are reported per item.
+ * @param {string[]} ids - Local Media IDs
+ * @param {"approve"|"reject"|"hide"|"trash"|"delete"} action
+ * @param {object} [moderation] - { adminId, reason } as in setMediaStatus
+ * @returns {Promise<{succeeded: string[], failed: Array<{id: string, error: string}>, assetsNotRemoved: string[]}>}
+ */
+export async function bulkModerate(ids, action, moderation = {}) {
+    if (!(action in BULK_ACTIONS)) {
+        throw new Error(`Invalid bulk action "${action}"`);
+    }
+
+    const results = { succeeded: [], failed: [], assetsNotRemoved: [] };
+
+    for (const id of [...new Set(ids)]) {
+        try {
+            if (action === "delete") {
+                // Rows go in their own transaction, the assets once it has committed
+                const purged = await purgeMedia(id);
+                if (!purged) throw new Error("Media not found");
+                if (!purged.assetRemoved) results.assetsNotRemoved.push(id);
+            } else {
+                await prisma.$transaction(async (tx) => {
+                    const media = await tx.media.findUnique({ where: { id } });
+                    if (!media) throw new Error("Media not found");
+                    if (action === "trash") {
+                        await trashMedia(id, moderation.adminId, tx);
+                    } else {
+                        await setMediaStatus(id, BULK_ACTIONS[action], moderation, tx);
+                    }
+                });
+            }
+            results.succeeded.push(id);
+        } catch (error) {
+            results.failed.push({ id, error: error.message });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * When trashed media gets purged for good
+ * @param {object} media - Media with deletedAt set
+ * @returns {Date}
+ */
+export function trashExpiresAt(media) {
+    return new Date(media.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY);
+}
+
+/**
+ * Update a media row and the other files of its post
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<object>} The updated media
+ */
+async function updatePost(mediaId, data, client = prisma) {
+    const media = await client.media.findUniqueOrThrow({ where: { id: mediaId } });
+    await client.media.updateMany({ where: postMembersWhere(media), data });
+    return client.media.findUnique({ where: { id: mediaId } });
+}
+
+/**
+ * Move media (with the rest of its post) to the trash. Likes are kept so a restore brings them back.
+ * @param {string} mediaId - Local Media ID
+ * @param {string} [adminId] - AdminUser trashing it
+ * @param {object} [client] - Prisma client or transaction client
+ */
+export async function trashMedia(mediaId, adminId, client = prisma) {
+    return updatePost(mediaId, { deletedAt: new Date(), deletedById: adminId || null }, client);
+}
+
+/**
+ * Take media (with the rest of its post) out of the trash (callers check trashExpiresAt first)
+ * @param {string} mediaId - Local Media ID
+ */
+export async function restoreMedia(mediaId) {
+    return updatePost(mediaId, { deletedAt: null, deletedById: null });
+}
+
+/**
+ * Delete media (with the rest of its post) for good: rows and likes in a transaction,
+ * then the Cloudinary assets
+ * @param {string} mediaId - Local Media ID
+ * @returns {Promise<{media: object[], assetRemoved: boolean}|null>} null if the media doesn't exist;
+ * assetRemoved is false when any file could not be removed
+ */
+export async function purgeMedia(mediaId) {
+    const media = await prisma.$transaction(tx => deleteMediaRecords(tx, mediaId));
+    if (!media.length) return null;
+
+    let assetRemoved = true;
+    for (const m of media) {
+        if (!(await destroyMediaAsset(m))) assetRemoved = false;
+    }
+    return { media, assetRemoved };
+}
+
+/**
+ * Delete a single file of a post for good. The remaining files close the gap in their
+ * positions; when the cover goes, the next file becomes the cover and takes over the
+ * post's likes, comments and reports. The last file of a post takes the post with it.
+ * @param {string} mediaId - Local Media ID
+ * @returns {Promise<{media: object, assetRemoved: boolean}|null>} null if the media doesn't exist
+ */
+export async function purgeMediaFile(mediaId) {
+    const media = await prisma.$transaction(async (tx) => {
+        const media = await tx.media.findUnique({ where: { id: mediaId } });
+        if (!media) return null;
+
+        const members = await tx.media.findMany({
+            where: postMembersWhere(media),
+            orderBy: { position: "asc" },
+        });
+        if (members.length === 1) {
+            await deleteMediaRecords(tx, mediaId);
+            return media;
+        }
+
+        const remaining = members.filter(m => m.id !== mediaId);
+        if (media.position === 0) {
+            const cover = { mediaId: remaining[0].id };
+            await tx.like.updateMany({ where: { mediaId }, data: cover });
+            await tx.comment.updateMany({ where: { mediaId }, data: cover });
+            await tx.report.updateMany({ where: { mediaId }, data: cover });
+        }
+
+        await tx.like.deleteMany({ where: { mediaId } });
+        await tx.comment.deleteMany({ where: { mediaId } });
+        await tx.report.deleteMany({ where: { mediaId } });
+        await tx.media.delete({ where: { id: mediaId } });
+
+        for (const [position, m] of remaining.entries()) {
+            if (m.position !== position) {
+                await tx.media.update({ where: { id: m.id }, data: { position } });
+            }
+        }
+        return media;
+    });
+    if (!media) return null;
+
+    return { media, assetRemoved: await destroyMediaAsset(media) };
+}
+
+/**
+ * Purge media that stayed in the trash longer than the retention window
+ * @returns {Promise<{purged: number, assetsNotRemoved: number}>}
+ */
+export async function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY);
+    const expired = await prisma.media.findMany({
+        where: { deletedAt: { lt: cutoff } },
+        select: { id: true },
+    });
+
+    const stats = { purged: 0, assetsNotRemoved: 0 };
+    for (const { id } of expired) {
+        const result = await purgeMedia(id);
+        if (!result) continue; // Already purged with an earlier file of its post
+        stats.purged += result.media.length;
+        if (!result.assetRemoved) stats.assetsNotRemoved++;
+    }
+    return stats;
+}
+
+/**
+ * Swap the file of a media item, keeping its likes, status and history
+ * The new asset is uploaded first and the old one destroyed only after the row points to the new one.
+ * @param {string} mediaId - Local Media ID
+ * @param {Buffer} buffer - New file contents
+ * @returns {Promise<{media: object, oldAssetRemoved: boolean}|null>} null if the media doesn't exist
+ */
+export async function replaceMediaFile(mediaId, buffer) {
+    const existing = await prisma.media.findUnique({ where: { id: mediaId } });
+    if (!existing) return null;
+
+    const uploadResult = await uploadStream(buffer, {
+        folder: "hoop_community",
+        resource_type: "auto",
+    });
+    const type = uploadResult.resource_type === "video" ? "VIDEO" : "IMAGE";
+
+    let media;
+    try {
+        media = await prisma.media.update({
+            where: { id: mediaId },
+            data: {
+                cloudinaryId: uploadResult.public_id,
+                url: uploadResult.secure_url,
+                type,
+                replacedAt: new Date(),
+            },
+        });
+    } catch (error) {
+        // Don't leave the new file orphaned
+        await destroyMediaAsset({ cloudinaryId: uploadResult.public_id, type });
+        throw error;
+    }
+
+    return { media, oldAssetRemoved: await destroyMediaAsset(existing) };
+}
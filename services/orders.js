@@ -0,0 +1,338 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.js";
+
+/**
+ * Normalize a Shopify ID (numeric or GID) to its numeric string form
+ * @param {string|number} id - e.g. 123 or "gid://shopify/Order/123"
+ * @returns {string}
+ */
+export function toNumericId(id) {
+    return String(id).split("/").pop();
+}
+
+const toMoney = (amount) => amount === undefined || amount === null || amount === ""
+    ? null
+    : new Prisma.Decimal(amount);
+
+// Order columns and the Shopify fields they come from (each has a `*_set` with both currencies)
+const ORDER_MONEY_FIELDS = {
+    totalPrice: "total_price",
+    subtotalPrice: "subtotal_price",
+    totalTax: "total_tax",
+    totalDiscounts: "total_discounts",
+    totalShipping: "total_shipping_price",
+};
+
+/**
+ * Order money columns in shop and presentment currency
+ * @param {object} payload - Shopify order
+ * @param {object} [options]
+ * @param {boolean} [options.current=false] - Prefer `current_*` fields (after refunds and edits)
+ * @returns {object} Only the columns present in the payload
+ */
+function orderMoney(payload, { current = false } = {}) {
+    const data = {};
+
+    for (const [column, field] of Object.entries(ORDER_MONEY_FIELDS)) {
+        const name = current && payload[`current_${field}_set`] ? `current_${field}` : field;
+        const set = payload[`${name}_set`];
+        if (!set && payload[name] === undefined) continue;
+
+        data[column] = toMoney(set?.shop_money?.amount ?? payload[name]);
+        if (set?.presentment_money) {
+            data[`presentment${column[0].toUpperCase()}${column.slice(1)}`] = toMoney(set.presentment_money.amount);
+        }
+    }
+
+    const presentmentCurrency = payload.presentment_currency
+        || payload.total_price_set?.presentment_money?.currency_code;
+    if (presentmentCurrency) data.presentmentCurrency = presentmentCurrency;
+
+    return data;
+}
+
+/**
+ * Build the PurchasedItem row of a line item
+ * @param {object} item - Shopify line item from a webhook or REST payload
+ * @param {number} [quantity] - Units purchased (defaults to the line item quantity)
+ */
+function buildPurchasedItem(item, quantity = item.quantity || item.current_quantity || 1) {
+    const unitPrice = toMoney(item.price_set?.shop_money?.amount ?? item.price) ?? new Prisma.Decimal(0);
+    // Allocations cover order-level discounts too; total_discount is the older line-only field
+    const totalDiscount = item.discount_allocations
+        ? item.discount_allocations.reduce((sum, d) => sum.plus(d.amount || 0), new Prisma.Decimal(0))
+        : new Prisma.Decimal(item.total_discount || 0);
+    const discountedUnitPrice = unitPrice.times(quantity).minus(totalDiscount)
+        .dividedBy(quantity)
+        .toDecimalPlaces(2);
+
+    return {
+        name: item.title || item.name,
+        shopifyProductId: String(item.product_id),
+        shopifyVariantId: item.variant_id ? String(item.variant_id) : null,
+        shopifyLineItemId: item.id ? String(item.id) : null,
+        sku: item.sku || null,
+        variantTitle: item.variant_title || null,
+        quantity,
+        price: unitPrice,
+        presentmentPrice: toMoney(item.price_set?.presentment_money?.amount),
+        discountedUnitPrice,
+        totalDiscount,
+        properties: item.properties?.length ? item.properties : undefined,
+    };
+}
+
+/**
+ * Rows belonging to a line item. Rows saved before line item ids were stored
+ * are matched by product instead.
+ */
+function itemsForLineItem(items, lineItem) {
+    return items.filter(i => i.shopifyLineItemId
+        ? i.shopifyLineItemId === String(lineItem.id)
+        : i.shopifyProductId === String(lineItem.product_id));
+}
+
+// Rows saved before quantities were tracked have refunded=true but refundedQuantity=0
+const refundedQuantity = (item) => item.refunded ? item.quantity : item.refundedQuantity;
+const ownedQuantity = (item) => item.quantity - refundedQuantity(item);
+
+/**
+ * Bring the owned (non-refunded) quantity of a line item to `currentQuantity`
+ * @param {object} tx - Prisma transaction client
+ * @param {object} order - Local order including its items
+ * @param {object} lineItem - Shopify line item
+ * @param {number} currentQuantity - Units the customer still owns
+ * @param {boolean} allowAdd - Add units when Shopify reports more (order edits)
+ */
+async function reconcileLineItem(tx, order, lineItem, currentQuantity, allowAdd) {
+    const rows = itemsForLineItem(order.items, lineItem);
+    const owned = rows.reduce((sum, i) => sum + ownedQuantity(i), 0);
+    const target = Math.max(0, currentQuantity);
+
+    if (owned > target) {
+        let toRefund = owned - target;
+        for (const row of rows) {
+            if (toRefund === 0) break;
+            const units = Math.min(toRefund, ownedQuantity(row));
+            if (units === 0) continue;
+
+            const refunded = refundedQuantity(row) + units;
+            await tx.purchasedItem.update({
+                where: { id: row.id },
+                data: {
+                    refundedQuantity: refunded,
+                    refunded: refunded >= row.quantity,
+                    refundedAt: new Date(),
+                },
+            });
+            toRefund -= units;
+        }
+    } else if (allowAdd && owned < target) {
+        const row = rows.find(i => i.shopifyLineItemId);
+        if (row) {
+            await tx.purchasedItem.update({
+                where: { id: row.id },
+                // Legacy rows keep their refunded units once the flag is cleared
+                data: {
+                    quantity: row.quantity + (target - owned),
+                    refundedQuantity: refundedQuantity(row),
+                    refunded: false,
+                },
+            });
+        } else {
+            await tx.purchasedItem.create({
+                data: { ...buildPurchasedItem(lineItem, target - owned), orderId: order.id },
+            });
+        }
+    }
+}
+
+/**
+ * Recompute the order status from its items (cancelled orders stay cancelled)
+ */
+async function refreshOrderStatus(tx, orderId) {
+    const order = await tx.order.findUnique({ where: { id: orderId }, include: { items: true } });
+    if (order.status === "CANCELLED") return order;
+
+    const totalUnits = order.items.reduce((sum, i) => sum + i.quantity, 0);
+    const refundedUnits = order.items.reduce((sum, i) => sum + refundedQuantity(i), 0);
+    let status = "PAID";
+    if (refundedUnits > 0) {
+        status = refundedUnits >= totalUnits ? "REFUNDED" : "PARTIALLY_REFUNDED";
+    }
+
+    return tx.order.update({ where: { id: orderId }, data: { status } });
+}
+
+/**
+ * Save a paid order with its customer and items
+ * @param {object} tx - Prisma transaction client
+ * @param {object} payload - Shopify order (orders/paid webhook or REST order)
+ * @param {string} shop - Shop domain the order belongs to
+ * @returns {Promise<object|null>} The created order, or null if it already exists or has no
+ * customer (guest and POS orders can't grant ownership, so they aren't stored)
+ */
+export async function savePaidOrder(tx, payload, shop) {
+    const { id, currency, customer, line_items, total_price_set } = payload;
+    if (!customer) return null;
+
+    // Replays without a webhook id (or from a different subscription) must not duplicate the order
+    const existingOrder = await tx.order.findUnique({ where: { shopifyId: String(id) } });
+    if (existingOrder) return null;
+
+    // 1. Upsert Customer
+    const savedCustomer = await tx.customer.upsert({
+        where: { shopifyId: String(customer.id) },
+        update: {
+            shop,
+            firstName: customer.first_name,
+            lastName: customer.last_name,
+            email: customer.email,
+        },
+        create: {
+            shopifyId: String(customer.id),
+            shop,
+            firstName: customer.first_name,
+            lastName: customer.last_name,
+            email: customer.email,
+        },
+    });
+
+    // 2. One row per line item, keeping variant, SKU, quantity and discounts
+    const items = line_items.map(item => buildPurchasedItem(item));
+
+    // 3. Create Order together with its items
+    return tx.order.create({
+        data: {
+            shopifyId: String(id),
+            shop,
+            currency: currency || total_price_set?.shop_money?.currency_code || "MXN",
+            ...orderMoney(payload),
+            customerId: savedCustomer.id,
+            items: { create: items },
+            // Purchase date as Shopify recorded it
+            createdAt: new Date(payload.processed_at || payload.created_at || Date.now()),
+        },
+    });
+}
+
+/**
+ * Mark an order as cancelled (orders/cancelled)
+ * @returns {Promise<object|null>} The updated order, or null if it is unknown locally
+ */
+export async function cancelOrder(tx, payload) {
+    const order = await tx.order.findUnique({ where: { shopifyId: String(payload.id) } });
+    if (!order) return null;
+
+    return tx.order.update({
+        where: { id: order.id },
+        data: {
+            status: "CANCELLED",
+            cancelledAt: payload.cancelled_at ? new Date(payload.cancelled_at) : new Date(),
+        },
+    });
+}
+
+/**
+ * Mark refunded units of an order (refunds/create)
+ * @returns {Promise<object|null>} The updated order, or null if it is unknown locally
+ */
+export async function applyRefund(tx, payload) {
+    const order = await tx.order.findUnique({
+        where: { shopifyId: String(payload.order_id) },
+        include: { items: true },
+    });
+    if (!order) return null;
+
+    for (const refundLine of payload.refund_line_items || []) {
+        const lineItem = refundLine.line_item || { id: refundLine.line_item_id };
+        if (!lineItem.id) lineItem.id = refundLine.line_item_id;
+
+        // Prefer Shopify's remaining quantity so a prior orders/updated isn't counted twice
+        const owned = itemsForLineItem(order.items, lineItem).reduce((sum, i) => sum + ownedQuantity(i), 0);
+        const currentQuantity = lineItem.current_quantity ?? owned - refundLine.quantity;
+
+        await reconcileLineItem(tx, order, lineItem, currentQuantity, false);
+    }
+
+    return refreshOrderStatus(tx, order.id);
+}
+
+/**
+ * Sync edits, removals and status changes of an order (orders/updated)
+ * @returns {Promise<object|null>} The updated order, or null if it is unknown locally
+ */
+export async function syncOrderUpdate(tx, payload) {
+    const order = await tx.order.findUnique({
+        where: { shopifyId: String(payload.id) },
+        include: { items: true },
+    });
+    if (!order) return null;
+
+    for (const lineItem of payload.line_items || []) {
+        if (lineItem.current_quantity === undefined) continue;
+        await reconcileLineItem(tx, order, lineItem, lineItem.current_quantity, true);
+    }
+
+    if (payload.cancelled_at && order.status !== "CANCELLED") {
+        await tx.order.update({
+            where: { id: order.id },
+            data: { status: "CANCELLED", cancelledAt: new Date(payload.cancelled_at) },
+        });
+    }
+
+    const money = orderMoney(payload, { current: true });
+    if (Object.keys(money).length > 0) {
+        await tx.order.update({ where: { id: order.id }, data: money });
+    }
+
+    return refreshOrderStatus(tx, order.id);
+}
+
+/**
+ * Find a product (or one of its variants) still owned by a customer in local orders
+ * @param {string} customerId - Shopify Customer ID (numeric or GID)
+ * @param {string} productId - Shopify Product ID (numeric or GID)
+ * @param {object} [options]
+ * @param {string} [options.variantId] - Require this variant (numeric or GID)
+ * @param {object} [options.client] - Prisma client or transaction client
+ * @returns {Promise<{orderId: string, purchasedAt: Date}|null>} Earliest order (numeric Shopify ID) granting the product
+ */
+export async function findLocalPurchase(customerId, productId, { variantId, client = prisma } = {}) {
+    const item = await client.purchasedItem.findFirst({
+        where: {
+            shopifyProductId: toNumericId(productId),
+            shopifyVariantId: variantId ? toNumericId(variantId) : undefined,
+            refunded: false,
+            order: {
+                status: { not: "CANCELLED" },
+                customer: { shopifyId: toNumericId(customerId) },
+            },
+        },
+        include: { order: true },
+        orderBy: { order: { createdAt: "asc" } },
+    });
+
+    return item ? { orderId: item.order.shopifyId, purchasedAt: item.order.createdAt } : null;
+}
+
+/**
+ * Check whether local order state revokes ownership of a product
+ * (order cancelled, or every unit of the product/variant refunded or removed)
+ * @param {string} shopifyOrderId - Shopify Order ID (numeric or GID)
+ * @param {string} productId - Shopify Product ID (numeric or GID)
+ * @param {string} [variantId] - Shopify Variant ID (numeric or GID)
+ * @returns {Promise<boolean>} false when the order is not known locally
+ */
+export async function isOwnershipRevoked(shopifyOrderId, productId, variantId) {
+    const order = await prisma.order.findUnique({
+        where: { shopifyId: toNumericId(shopifyOrderId) },
+        include: { items: true },
+    });
+    if (!order) return false;
+    if (order.status === "CANCELLED") return true;
+
+    const productItems = order.items.filter(i => i.shopifyProductId === toNumericId(productId)
+        && (!variantId || i.shopifyVariantId === toNumericId(variantId)));
+    return productItems.length > 0 && productItems.every(i => i.refunded);
+}
@@ -0,0 +1,259 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.js";
+import { verifyCustomerOwnsProduct } from "./shopify.js";
+import { findLocalPurchase, toNumericId } from "./orders.js";
+
+/**
+ * Persistent ownership index (Ownership table).
+ * Rows are written by order webhooks and by lazy checks against Shopify,
+ * revalidated once their TTL expires, and served stale when Shopify is unreachable.
+ * Product-level rows use variantShopifyId "" (any variant).
+ */
+
+const MINUTE = 60 * 1000;
+// Positive results are kept longer: webhooks update them on cancellations/refunds
+const OWNED_TTL_MS = Number(process.env.OWNERSHIP_TTL_MINUTES || 24 * 60) * MINUTE;
+// Negative results expire quickly so a new purchase is picked up even if its webhook is late
+const NOT_OWNED_TTL_MS = Number(process.env.OWNERSHIP_NEGATIVE_TTL_MINUTES || 5) * MINUTE;
+const RECONCILE_BATCH_SIZE = Number(process.env.OWNERSHIP_RECONCILE_BATCH || 50);
+
+function isFresh(row) {
+    const ttl = row.verified ? OWNED_TTL_MS : NOT_OWNED_TTL_MS;
+    return Date.now() - row.checkedAt.getTime() < ttl;
+}
+
+function toResult(row, cached) {
+    return {
+        verified: row.verified,
+        orderId: row.orderShopifyId ? `gid://shopify/Order/${row.orderShopifyId}` : undefined,
+        purchasedAt: row.purchasedAt || undefined,
+        source: row.source.toLowerCase(),
+        cached,
+    };
+}
+
+function ownershipKey(customerId, productId, variantId) {
+    return {
+        customerShopifyId_productShopifyId_variantShopifyId: {
+            customerShopifyId: toNumericId(customerId),
+            productShopifyId: toNumericId(productId),
+            variantShopifyId: variantId ? toNumericId(variantId) : "",
+        },
+    };
+}
+
+async function saveResult(customerId, productId, variantId, shop, result, client = prisma) {
+    const data = {
+        shop,
+        verified: result.verified,
+        orderShopifyId: result.orderId ? toNumericId(result.orderId) : null,
+        purchasedAt: result.purchasedAt || null,
+        source: result.source === "local" ? "LOCAL" : "SHOPIFY",
+        checkedAt: new Date(),
+    };
+
+    const where = ownershipKey(customerId, productId, variantId);
+
+    return client.ownership.upsert({
+        where,
+        update: data,
+        create: {
+            ...where.customerShopifyId_productShopifyId_variantShopifyId,
+            ...data,
+        },
+    });
+}
+
+/**
+ * Check if a customer owns a product using the index, revalidating expired entries
+ * @param {string} customerId - Shopify Customer ID (numeric or GID)
+ * @param {string} productId - Shopify Product ID (numeric or GID)
+ * @param {string} [shop] - Shop domain
+ * @param {string} [variantId] - Shopify Variant ID (numeric or GID); any variant when omitted
+ * @returns {Promise<{verified: boolean, orderId?: string, purchasedAt?: Date, source?: string, cached: boolean}>}
+ */
+export async function checkOwnership(customerId, productId, shop, variantId) {
+    const row = await prisma.ownership.findUnique({
+        where: ownershipKey(customerId, productId, variantId),
+    });
+
+    if (row && isFresh(row)) return toResult(row, true);
+
+    const result = await verifyCustomerOwnsProduct(customerId, productId, shop, { variantId });
+
+    // Shopify unreachable: keep serving what we knew
+    if (result.error) {
+        if (row) {
+            console.warn(`⚠️ Ownership revalidation failed (${result.error}). Serving stale entry.`);
+            return toResult(row, true);
+        }
+        return { ...result, cached: false };
+    }
+
+    const saved = await saveResult(customerId, productId, variantId, shop, result);
+    return toResult(saved, false);
+}
+
+/**
+ * Update index rows for every product of an order from local PurchasedItems
+ * (called by order webhooks inside their transaction)
+ * @param {object} tx - Prisma transaction client
+ * @param {string} orderId - Local Order ID
+ */
+export async function indexOrderOwnership(tx, orderId) {
+    const order = await tx.order.findUnique({
+        where: { id: orderId },
+        include: { items: true, customer: true },
+    });
+    if (!order) return;
+
+    const productIds = [...new Set(order.items.map(i => i.shopifyProductId))];
+
+    for (const productId of productIds) {
+        const purchase = await findLocalPurchase(order.customer.shopifyId, productId, { client: tx });
+
+        // Variant entries are cheap to rebuild from local rows on the next check
+        await tx.ownership.deleteMany({
+            where: {
+                customerShopifyId: order.customer.shopifyId,
+                productShopifyId: productId,
+                variantShopifyId: { not: "" },
+            },
+        });
+
+        if (purchase) {
+            await saveResult(order.customer.shopifyId, productId, null, order.shop, {
+                verified: true,
+                orderId: purchase.orderId,
+                purchasedAt: purchase.purchasedAt,
+                source: "local",
+            }, tx);
+        } else {
+            // Not owned locally anymore: drop the entry so the next check revalidates with Shopify
+            await tx.ownership.deleteMany({
+                where: {
+                    customerShopifyId: order.customer.shopifyId,
+                    productShopifyId: productId,
+                    variantShopifyId: "",
+                },
+            });
+        }
+    }
+}
+
+/**
+ * Active purchases (customer + product) without a product-level index entry, in batches
+ * Each pair comes with its earliest granting order, like findLocalPurchase.
+ * @param {object|null} after - Last pair of the previous batch ({ customerId, productId })
+ * @returns {Promise<Array<{customerId, productId, orderId, purchasedAt, shop}>>}
+ */
+function findUnindexedPurchases(after) {
+    const afterSql = after
+        ? Prisma.sql`AND (c."shopifyId", i."shopifyProductId") > (${after.customerId}, ${after.productId})`
+        : Prisma.empty;
+
+    return prisma.$queryRaw`
+        SELECT DISTINCT ON (c."shopifyId", i."shopifyProductId")
+               c."shopifyId" AS "customerId",
+               i."shopifyProductId" AS "productId",
+               o."shopifyId" AS "orderId",
+               o."createdAt" AS "purchasedAt",
+               o."shop"
+        FROM "PurchasedItem" i
+        JOIN "Order" o ON o."id" = i."orderId"
+        JOIN "Customer" c ON c."id" = o."customerId"
+        WHERE NOT i."refunded"
+          AND o."status" <> 'CANCELLED'
+          AND NOT EXISTS (
+              SELECT 1 FROM "Ownership" w
+              WHERE w."customerShopifyId" = c."shopifyId"
+                AND w."productShopifyId" = i."shopifyProductId"
+                AND w."variantShopifyId" = ''
+          )
+          ${afterSql}
+        ORDER BY c."shopifyId", i."shopifyProductId", o."createdAt"
+        LIMIT ${RECONCILE_BATCH_SIZE}
+    `;
+}
+
+/**
+ * Background reconciliation:
+ * 1. index active purchases that have no entry yet
+ * 2. revalidate the oldest entries and fix drift: Shopify entries against Shopify,
+ *    local entries against local orders (local data keeps precedence)
+ * @returns {Promise<{indexed: number, revalidated: number, fixed: number}>}
+ */
+export async function reconcileOwnership() {
+    const stats = { indexed: 0, revalidated: 0, fixed: 0 };
+
+    // 1. Active purchases missing from the index, found in the database batch by batch
+    let after = null;
+    for (;;) {
+        const purchases = await findUnindexedPurchases(after);
+
+        for (const purchase of purchases) {
+            await saveResult(purchase.customerId, purchase.productId, null, purchase.shop, {
+                verified: true,
+                orderId: purchase.orderId,
+                purchasedAt: purchase.purchasedAt,
+                source: "local",
+            });
+            stats.indexed++;
+        }
+
+        if (purchases.length < RECONCILE_BATCH_SIZE) break;
+        after = purchases[purchases.length - 1];
+    }
+
+    // 2. Oldest entries
+    const staleRows = await prisma.ownership.findMany({
+        orderBy: { checkedAt: "asc" },
+        take: RECONCILE_BATCH_SIZE,
+    });
+
+    for (const row of staleRows) {
+        // Local entries are recomputed from local orders, so a Shopify miss can't revoke a local purchase
+        if (row.source === "LOCAL") {
+            const purchase = await findLocalPurchase(row.customerShopifyId, row.productShopifyId, {
+                variantId: row.variantShopifyId || undefined,
+            });
+
+            if (purchase) {
+                await saveResult(row.customerShopifyId, row.productShopifyId, row.variantShopifyId, row.shop, {
+                    verified: true,
+                    orderId: purchase.orderId,
+                    purchasedAt: purchase.purchasedAt,
+                    source: "local",
+                });
+            } else {
+                // No longer owned locally: drop it, the next check revalidates with Shopify
+                console.warn(`🔧 Ownership drift: customer ${row.customerShopifyId} / product ${row.productShopifyId}` +
+                    `${row.variantShopifyId ? ` / variant ${row.variantShopifyId}` : ""} no longer owned in local orders`);
+                await prisma.ownership.delete({ where: { id: row.id } });
+                stats.fixed++;
+            }
+            stats.revalidated++;
+            continue;
+        }
+
+        const result = await verifyCustomerOwnsProduct(
+            row.customerShopifyId,
+            row.productShopifyId,
+            row.shop || undefined,
+            { localFirst: false, variantId: row.variantShopifyId || undefined }
+        );
+        if (result.error) continue;
+
+        if (result.verified !== row.verified) {
+            console.warn(`🔧 Ownership drift: customer ${row.customerShopifyId} / product ${row.productShopifyId}` +
+                `${row.variantShopifyId ? ` / variant ${row.variantShopifyId}` : ""} ` +
+                `was ${row.verified}, Shopify says ${result.verified}`);
+            stats.fixed++;
+        }
+
+        await saveResult(row.customerShopifyId, row.productShopifyId, row.variantShopifyId, row.shop, result);
+        stats.revalidated++;
+    }
+
+    return stats;
+}
@@ -0,0 +1,124 @@
+import prisma from "../db.js";
+import { uploadStream, destroyMediaAsset } from "./cloudinary.js";
+import { MAX_ALT_TEXT_LENGTH } from "./media.js";
+
+/**
+ * Posts group the files of one submission. Every file is a Media row with the post's
+ * caption, tags and moderation status; the file at position 0 is the cover and carries
+ * the post's likes, comments and reports. Moderation, trash and deletion act on the whole post.
+ */
+
+export const MAX_POST_FILES = Number(process.env.MAX_POST_FILES || 10);
+
+/**
+ * Where clause for all files of the post a media row belongs to (just the row when it isn't in a post)
+ * @param {object} media - Media with postId
+ * @returns {object} Prisma where
+ */
+export function postMembersWhere(media) {
+    return media.postId ? { postId: media.postId } : { id: media.id };
+}
+
+/**
+ * The cover of the post a media row belongs to, where likes, comments and reports go
+ * @param {object} media - Media with postId and position
+ * @param {object} [client] - Prisma client or transaction client
+ * @returns {Promise<object>} The cover (the row itself when it isn't in a post or is the cover)
+ */
+export async function findPostCover(media, client = prisma) {
+    if (!media.postId || media.position === 0) return media;
+
+    return client.media.findFirst({
+        where: { postId: media.postId, position: 0 },
+    });
+}
+
+/**
+ * Alt texts for each file: repeated `altText` fields follow the file order, a single
+ * value applies to the first file
+ * @param {string|string[]} input
+ * @param {number} count - Number of files
+ * @returns {{altTexts?: Array<string|null>, error?: string}}
+ */
+export function parseAltTexts(input, count) {
+    const values = input === undefined ? [] : [].concat(input);
+    if (values.length > count) {
+        return { error: "More alt texts than files" };
+    }
+
+    const altTexts = [];
+    for (let i = 0; i < count; i++) {
+        const value = typeof values[i] === "string" ? values[i].trim() : "";
+        if (value.length > MAX_ALT_TEXT_LENGTH) {
+            return { error: `altText must be at most ${MAX_ALT_TEXT_LENGTH} characters` };
+        }
+        altTexts.push(value || null);
+    }
+    return { altTexts };
+}
+
+/**
+ * Upload files and store them as one submission. Several files become a Post in the
+ * order given; a single file stays a plain Media row.
+ * Uploaded assets are destroyed again when a later upload or the DB write fails.
+ * @param {Buffer[]} buffers - File contents, in post order
+ * @param {object} data - Media columns shared by all files (product, shop, customer, caption, tags)
+ * @param {object} [options]
+ * @param {Array<string|null>} [options.altTexts] - Alt text per file
+ * @param {string} [options.filter] - Cloudinary filter, see uploadStream
+ * @returns {Promise<{post: object|null, media: object[]}>} Media in post order
+ */
+export async function createPost(buffers, data, { altTexts = [], filter } = {}) {
+    const uploads = [];
+    try {
+        for (const buffer of buffers) {
+            uploads.push(await uploadStream(buffer, {
+                folder: "hoop_community",
+                resource_type: "auto",
+                filter
+            }));
+        }
+    } catch (error) {
+        await destroyUploads(uploads);
+        throw error;
+    }
+
+    const rows = uploads.map((uploadResult, position) => ({
+        ...data,
+        cloudinaryId: uploadResult.public_id,
+        url: uploadResult.secure_url,
+        type: uploadResult.resource_type === "video" ? "VIDEO" : "IMAGE",
+        altText: altTexts[position] ?? data.altText ?? null,
+        position,
+    }));
+
+    try {
+        if (rows.length === 1) {
+            return { post: null, media: [await prisma.media.create({ data: rows[0] })] };
+        }
+
+        return await prisma.$transaction(async (tx) => {
+            const post = await tx.post.create({
+                data: { customerId: data.customerId, shop: data.shop },
+            });
+            const media = [];
+            for (const row of rows) {
+                media.push(await tx.media.create({ data: { ...row, postId: post.id } }));
+            }
+            return { post, media };
+        });
+    } catch (error) {
+        // Don't leave the uploaded files orphaned
+        await destroyUploads(uploads);
+        throw error;
+    }
+}
+
+async function destroyUploads(uploads) {
+    for (const uploadResult of uploads) {
+        await destroyMediaAsset({
+            cloudinaryId: uploadResult.public_id,
+            type: uploadResult.resource_type === "video" ? "VIDEO" : "IMAGE",
+        });
+    }
+}
@@ -0,0 +1,162 @@
+import prisma from "../db.js";
+
+/**
+ * Collect everything a shop stores about a customer (customers/data_request)
+ * Only rows of the requesting shop are included; likes, comments and reports follow the shop of their media.
+ * @param {string} shopifyCustomerId - Shopify Customer ID
+ * @param {string} shop - Shop domain the request was sent for
+ * @returns {Promise<object|null>} JSON-serializable bundle, or null if unknown to the shop
+ */
+export async function exportCustomerData(shopifyCustomerId, shop) {
+    const customer = await prisma.customer.findUnique({
+        where: { shopifyId: String(shopifyCustomerId) },
+        include: {
+            orders: { where: { shop }, include: { items: true } },
+            media: { where: { shop } },
+            likes: { where: { media: { shop } } },
+            comments: { where: { media: { shop } } },
+            reports: { where: { media: { shop } } },
+        },
+    });
+    if (!customer) return null;
+
+    const { orders, media, likes, comments, reports, ...profile } = customer;
+    const hasShopData = [orders, media, likes, comments, reports].some(rows => rows.length);
+    if (profile.shop !== shop && !hasShopData) return null;
+
+    return {
+        exportedAt: new Date().toISOString(),
+        customer: profile,
+        orders,
+        media,
+        likes,
+        comments,
+        reports,
+    };
+}
+
+// Customer columns that remove the personal data but keep the row (and what hangs off it)
+function anonymizedCustomer(customer) {
+    return {
+        email: `redacted-${customer.id}@redacted.invalid`,
+        firstName: null,
+        lastName: null,
+        profilePublic: false,
+        displayName: null,
+        bio: null,
+        avatarUrl: null,
+        avatarCloudinaryId: null,
+        redactedAt: new Date(),
+    };
+}
+
+// Profile avatars in the { cloudinaryId, type } shape of Media, for destroyMediaAsset
+function avatarAssets(customers) {
+    return customers
+        .filter(c => c.avatarCloudinaryId)
+        .map(c => ({ cloudinaryId: c.avatarCloudinaryId, type: "IMAGE" }));
+}
+
+/**
+ * Remove a customer's personal data (customers/redact)
+ * Uploads, likes, comments and reports are deleted, the profile is anonymized and orders are kept for accounting.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} shopifyCustomerId - Shopify Customer ID
+ * @returns {Promise<Array>} Deleted media and avatar ({ cloudinaryId, type }), whose Cloudinary assets must be destroyed after commit
+ */
+export async function redactCustomer(tx, shopifyCustomerId) {
+    const customer = await tx.customer.findUnique({
+        where: { shopifyId: String(shopifyCustomerId) },
+        include: { media: true },
+    });
+    if (!customer) return [];
+
+    const mediaIds = customer.media.map(m => m.id);
+
+    await tx.like.deleteMany({
+        where: {
+            OR: [
+                { customerId: customer.id },
+                { mediaId: { in: mediaIds } },
+            ],
+        },
+    });
+    // Replies of other customers go with the comments they answer
+    await tx.comment.deleteMany({
+        where: {
+            OR: [
+                { customerId: customer.id },
+                { mediaId: { in: mediaIds } },
+            ],
+        },
+    });
+    await tx.report.deleteMany({
+        where: {
+            OR: [
+                { customerId: customer.id },
+                { mediaId: { in: mediaIds } },
+            ],
+        },
+    });
+    await tx.media.deleteMany({ where: { id: { in: mediaIds } } });
+    await tx.post.deleteMany({ where: { customerId: customer.id } });
+    await tx.ownership.deleteMany({ where: { customerShopifyId: customer.shopifyId } });
+
+    await tx.customer.update({
+        where: { id: customer.id },
+        data: anonymizedCustomer(customer),
+    });
+
+    return [...customer.media, ...avatarAssets([customer])];
+}
+
+/**
+ * Delete all data stored for a shop (shop/redact, sent 48h after uninstall)
+ * Customers of the shop who still have orders, uploads, likes, comments or reports in
+ * another shop are anonymized instead of deleted, so those rows stay intact.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Array>} Deleted media and avatars ({ cloudinaryId, type }), whose Cloudinary assets must be destroyed after commit
+ */
+export async function redactShop(tx, shop) {
+    const media = await tx.media.findMany({ where: { shop } });
+    const avatars = avatarAssets(await tx.customer.findMany({
+        where: { shop, avatarCloudinaryId: { not: null } },
+    }));
+
+    await tx.like.deleteMany({ where: { media: { shop } } });
+    await tx.comment.deleteMany({ where: { media: { shop } } });
+    await tx.report.deleteMany({ where: { media: { shop } } });
+    await tx.media.deleteMany({ where: { shop } });
+    await tx.post.deleteMany({
+        where: {
+            OR: [
+                { shop },
+                { customer: { shop }, media: { none: {} } },
+            ],
+        },
+    });
+    await tx.purchasedItem.deleteMany({ where: { order: { shop } } });
+    await tx.order.deleteMany({ where: { shop } });
+
+    const customers = await tx.customer.findMany({
+        where: { shop },
+        include: {
+            _count: { select: { orders: true, media: true, likes: true, comments: true, reports: true, posts: true } },
+        },
+    });
+    const inOtherShops = customers.filter(c => Object.values(c._count).some(count => count > 0));
+    await tx.customer.deleteMany({
+        where: { shop, id: { notIn: inOtherShops.map(c => c.id) } },
+    });
+    for (const customer of inOtherShops) {
+        await tx.customer.update({
+            where: { id: customer.id },
+            data: { ...anonymizedCustomer(customer), shop: null },
+        });
+    }
+    await tx.product.deleteMany({ where: { shop } });
+    await tx.ownership.deleteMany({ where: { shop } });
+
+    return [...media, ...avatars];
+}
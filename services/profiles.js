@@ -0,0 +1,198 @@
+import prisma from "../db.js";
+import { uploadStream, destroyMediaAsset } from "./cloudinary.js";
+import { PUBLIC_MEDIA } from "./moderation.js";
+
+/**
+ * Creator profiles and how customers are named next to their uploads, comments and
+ * leaderboard entries. Profiles are private until the customer opts in; names always
+ * follow their nameDisplay setting.
+ */
+
+export const NAME_DISPLAY = {
+    FIRST_NAME: "FIRST_NAME", // "Jane" (default)
+    FIRST_NAME_LAST_INITIAL: "FIRST_NAME_LAST_INITIAL", // "Jane D."
+    FULL_NAME: "FULL_NAME", // "Jane Doe"
+    DISPLAY_NAME: "DISPLAY_NAME", // Chosen display name, first name while unset
+    ANONYMOUS: "ANONYMOUS",
+};
+
+export const MAX_DISPLAY_NAME_LENGTH = 40;
+export const MAX_BIO_LENGTH = 300;
+
+const ANONYMOUS_NAME = "Community member";
+
+// Customer columns needed to render an author (Prisma select)
+export const AUTHOR_SELECT = {
+    id: true,
+    firstName: true,
+    lastName: true,
+    displayName: true,
+    nameDisplay: true,
+    profilePublic: true,
+    avatarUrl: true,
+};
+
+/**
+ * Name shown publicly for a customer, following their nameDisplay setting
+ * @param {object} customer - Customer with the AUTHOR_SELECT columns
+ * @returns {string}
+ */
+export function publicName(customer) {
+    const firstName = customer.firstName?.trim();
+    const lastName = customer.lastName?.trim();
+
+    switch (customer.nameDisplay) {
+        case NAME_DISPLAY.ANONYMOUS:
+            return ANONYMOUS_NAME;
+        case NAME_DISPLAY.DISPLAY_NAME:
+            return customer.displayName || firstName || ANONYMOUS_NAME;
+        case NAME_DISPLAY.FULL_NAME:
+            return [firstName, lastName].filter(Boolean).join(" ") || ANONYMOUS_NAME;
+        case NAME_DISPLAY.FIRST_NAME_LAST_INITIAL:
+            return [firstName, lastName && `${lastName[0]}.`].filter(Boolean).join(" ") || ANONYMOUS_NAME;
+        default:
+            return firstName || ANONYMOUS_NAME;
+    }
+}
+
+/**
+ * Public shape of an author; the profile link and avatar only when the profile is public
+ * @param {object|null} customer - Customer with the AUTHOR_SELECT columns
+ * @returns {{name: string, profileId: string|null, avatarUrl: string|null}|null}
+ */
+export function toPublicAuthor(customer) {
+    if (!customer) return null;
+
+    return {
+        name: publicName(customer),
+        profileId: customer.profilePublic ? customer.id : null,
+        avatarUrl: customer.profilePublic ? customer.avatarUrl : null,
+    };
+}
+
+/**
+ * Profile settings as the customer sees them in their account
+ * @param {object} customer - Customer
+ */
+export function toOwnProfile(customer) {
+    return {
+        profileId: customer.id,
+        profilePublic: customer.profilePublic,
+        displayName: customer.displayName,
+        bio: customer.bio,
+        avatarUrl: customer.avatarUrl,
+        nameDisplay: customer.nameDisplay,
+        publicName: publicName(customer),
+    };
+}
+
+/**
+ * Validate profile settings from a request body
+ * Fields missing from the body are left out of `data`, so it can be used for partial updates.
+ * @param {object} body - { profilePublic, displayName, bio, nameDisplay }
+ * @returns {{data?: object, error?: string}} Prisma data, or an error message
+ */
+export function parseProfile(body = {}) {
+    const data = {};
+
+    if (body.profilePublic !== undefined) {
+        if (typeof body.profilePublic !== "boolean") return { error: "profilePublic must be true or false" };
+        data.profilePublic = body.profilePublic;
+    }
+
+    for (const [field, max] of [["displayName", MAX_DISPLAY_NAME_LENGTH], ["bio", MAX_BIO_LENGTH]]) {
+        if (body[field] === undefined) continue;
+
+        const value = typeof body[field] === "string" ? body[field].trim() : "";
+        if (value.length > max) {
+            return { error: `${field} must be at most ${max} characters` };
+        }
+        data[field] = value || null;
+    }
+
+    if (body.nameDisplay !== undefined) {
+        const nameDisplay = String(body.nameDisplay).toUpperCase();
+        if (!NAME_DISPLAY[nameDisplay]) {
+            return { error: `nameDisplay must be one of: ${Object.values(NAME_DISPLAY).join(", ").toLowerCase()}` };
+        }
+        data.nameDisplay = nameDisplay;
+    }
+
+    return { data };
+}
+
+/**
+ * Public profile with totals over approved media
+ * @param {string} profileId - Local Customer ID
+ * @param {string} [shop] - Shop domain
+ * @returns {Promise<object|null>} null unless the profile exists and is public
+ */
+export async function getPublicProfile(profileId, shop) {
+    const customer = await prisma.customer.findFirst({
+        where: { id: profileId, profilePublic: true, redactedAt: null },
+    });
+    if (!customer || (shop && customer.shop && customer.shop !== shop)) return null;
+
+    const mediaWhere = { customerId: customer.id, shop, ...PUBLIC_MEDIA };
+    const [posts, likes] = await Promise.all([
+        prisma.media.count({ where: { ...mediaWhere, position: 0 } }), // One cover per post
+        prisma.like.count({ where: { media: mediaWhere } }),
+    ]);
+
+    return {
+        profileId: customer.id,
+        name: publicName(customer),
+        bio: customer.bio,
+        avatarUrl: customer.avatarUrl,
+        posts,
+        likes,
+    };
+}
+
+/**
+ * Upload a new avatar; the previous one is destroyed once the profile points to the new one
+ * @param {object} customer - Customer
+ * @param {Buffer} buffer - Image file contents
+ * @returns {Promise<object>} The updated customer
+ */
+export async function setAvatar(customer, buffer) {
+    const uploadResult = await uploadStream(buffer, {
+        folder: "hoop_avatars",
+        resource_type: "image",
+        transformation: [{ width: 400, height: 400, crop: "fill", gravity: "face" }],
+    });
+
+    let updated;
+    try {
+        updated = await prisma.customer.update({
+            where: { id: customer.id },
+            data: { avatarUrl: uploadResult.secure_url, avatarCloudinaryId: uploadResult.public_id },
+        });
+    } catch (error) {
+        // Don't leave the new file orphaned
+        await destroyMediaAsset({ cloudinaryId: uploadResult.public_id, type: "IMAGE" });
+        throw error;
+    }
+
+    if (customer.avatarCloudinaryId) {
+        await destroyMediaAsset({ cloudinaryId: customer.avatarCloudinaryId, type: "IMAGE" });
+    }
+    return updated;
+}
+
+/**
+ * Remove the avatar and its Cloudinary asset
+ * @param {object} customer - Customer
+ * @returns {Promise<object>} The updated customer
+ */
+export async function removeAvatar(customer) {
+    const updated = await prisma.customer.update({
+        where: { id: customer.id },
+        data: { avatarUrl: null, avatarCloudinaryId: null },
+    });
+
+    if (customer.avatarCloudinaryId) {
+        await destroyMediaAsset({ cloudinaryId: customer.avatarCloudinaryId, type: "IMAGE" });
+    }
+    return updated;
+}
@@ -0,0 +1,145 @@
+import prisma from "../db.js";
+import { MEDIA_STATUS, setMediaStatus, trashMedia } from "./moderation.js";
+
+/**
+ * Customer reports of community media. Once media collects REPORT_HIDE_THRESHOLD open
+ * reports it is hidden (with no moderator) until an admin reviews it.
+ */
+
+export const REPORT_REASONS = ["SPAM", "OFFENSIVE", "NOT_RELATED", "COPYRIGHT", "OTHER"];
+
+export const REPORT_STATUS = {
+    OPEN: "OPEN",
+    DISMISSED: "DISMISSED", // Reviewed, media kept
+    ACTIONED: "ACTIONED", // Reviewed, media hidden, rejected or trashed
+};
+
+export const MAX_REPORT_DETAILS_LENGTH = 500;
+
+// Open reports that hide approved media automatically (0 disables auto-hide)
+export const REPORT_HIDE_THRESHOLD = Number(process.env.MEDIA_REPORT_HIDE_THRESHOLD ?? 3);
+
+// Admin decisions on reported media and the report status they leave behind
+const REVIEW_ACTIONS = {
+    dismiss: REPORT_STATUS.DISMISSED,
+    hide: REPORT_STATUS.ACTIONED,
+    reject: REPORT_STATUS.ACTIONED,
+    trash: REPORT_STATUS.ACTIONED,
+};
+
+/**
+ * Validate a report from a request body
+ * @param {object} body - { reason, details }
+ * @returns {{data?: object, error?: string}} Prisma data, or an error message
+ */
+export function parseReport(body = {}) {
+    const reason = String(body.reason || "").toUpperCase();
+    if (!REPORT_REASONS.includes(reason)) {
+        return { error: `reason must be one of: ${REPORT_REASONS.join(", ").toLowerCase()}` };
+    }
+
+    const details = typeof body.details === "string" ? body.details.trim() : "";
+    if (details.length > MAX_REPORT_DETAILS_LENGTH) {
+        return { error: `details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters` };
+    }
+    if (reason === "OTHER" && !details) {
+        return { error: "Please describe the problem" };
+    }
+
+    return { data: { reason, details: details || null } };
+}
+
+/**
+ * Whether media was hidden by reports rather than by an admin
+ * @param {object} media
+ * @returns {boolean}
+ */
+export function isAutoHidden(media) {
+    return media.status === MEDIA_STATUS.HIDDEN && !media.moderatedById;
+}
+
+/**
+ * Record a report and hide the media once it reaches the threshold
+ * @param {object} params
+ * @param {string} params.mediaId - Local Media ID
+ * @param {string} params.customerId - Local Customer ID of the reporter
+ * @param {string} params.reason - One of REPORT_REASONS
+ * @param {string|null} [params.details]
+ * @returns {Promise<{report?: object, hidden?: boolean, error?: string}>} error when already reported
+ */
+export async function createReport({ mediaId, customerId, reason, details }) {
+    const alreadyReported = { error: "You already reported this media" };
+    try {
+        return await prisma.$transaction(async (tx) => {
+            const existing = await tx.report.findUnique({
+                where: { customerId_mediaId: { customerId, mediaId } },
+            });
+            if (existing) return alreadyReported;
+
+            const report = await tx.report.create({
+                data: { mediaId, customerId, reason, details },
+            });
+
+            const openReports = await tx.report.count({
+                where: { mediaId, status: REPORT_STATUS.OPEN },
+            });
+
+            let hidden = false;
+            if (REPORT_HIDE_THRESHOLD > 0 && openReports >= REPORT_HIDE_THRESHOLD) {
+                const media = await tx.media.findUnique({ where: { id: mediaId } });
+                if (media.status === MEDIA_STATUS.APPROVED) {
+                    await setMediaStatus(mediaId, MEDIA_STATUS.HIDDEN, {}, tx);
+                    hidden = true;
+                    console.log(`🚩 Media ${mediaId} hidden after ${openReports} reports`);
+                }
+            }
+
+            return { report, hidden };
+        });
+    } catch (error) {
+        // A concurrent request of the same customer got in first
+        if (error.code === "P2002") return alreadyReported;
+        throw error;
+    }
+}
+
+/**
+ * Close the open reports of a media item with an admin decision
+ * - dismiss: reports were unfounded; auto-hidden media is approved again
+ * - hide / reject: media leaves the public gallery (reject needs a reason for the uploader)
+ * - trash: media goes to the trash
+ * @param {string} mediaId - Local Media ID
+ * @param {"dismiss"|"hide"|"reject"|"trash"} action
+ * @param {object} [moderation] - { adminId, reason }
+ * @returns {Promise<{media: object, resolved: number}|null>} null if the media doesn't exist
+ */
+export async function reviewReports(mediaId, action, { adminId, reason } = {}) {
+    if (!(action in REVIEW_ACTIONS)) {
+        throw new Error(`Invalid review action "${action}"`);
+    }
+
+    const media = await prisma.media.findUnique({ where: { id: mediaId } });
+    if (!media) return null;
+
+    let updated = media;
+    if (action === "dismiss" && isAutoHidden(media)) {
+        updated = await setMediaStatus(mediaId, MEDIA_STATUS.APPROVED, { adminId });
+    } else if (action === "hide") {
+        updated = await setMediaStatus(mediaId, MEDIA_STATUS.HIDDEN, { adminId });
+    } else if (action === "reject") {
+        updated = await setMediaStatus(mediaId, MEDIA_STATUS.REJECTED, { adminId, reason });
+    } else if (action === "trash") {
+        updated = await trashMedia(mediaId, adminId);
+    }
+
+    const { count } = await prisma.report.updateMany({
+        where: { mediaId, status: REPORT_STATUS.OPEN },
+        data: {
+            status: REVIEW_ACTIONS[action],
+            resolvedById: adminId || null,
+            resolvedAt: new Date(),
+        },
+    });
+
+    return { media: updated, resolved: count };
+}
@@ -0,0 +1,102 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.js";
+
+/**
+ * Revenue aggregates for the admin. Amounts are in the shop currency and grouped
+ * by it, so stores that changed currency never mix totals. Cancelled orders are excluded.
+ */
+
+const PERIODS = ["day", "week", "month"];
+
+function orderFilter({ shop, from, to }) {
+    const where = { status: { not: "CANCELLED" } };
+    if (shop) where.shop = shop;
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt.gte = new Date(from);
+        if (to) where.createdAt.lte = new Date(to);
+    }
+    return where;
+}
+
+// Same filter as orderFilter for raw queries on an "Order" aliased as o
+function orderFilterSql({ shop, from, to }) {
+    const conditions = [Prisma.sql`o."status" <> 'CANCELLED'`];
+    if (shop) conditions.push(Prisma.sql`o."shop" = ${shop}`);
+    if (from) conditions.push(Prisma.sql`o."createdAt" >= ${new Date(from)}`);
+    if (to) conditions.push(Prisma.sql`o."createdAt" <= ${new Date(to)}`);
+    return Prisma.join(conditions, " AND ");
+}
+
+/**
+ * Totals per currency
+ * @param {object} [filters]
+ * @param {string} [filters.shop] - Shop domain
+ * @param {Date|string} [filters.from] - Orders created at or after
+ * @param {Date|string} [filters.to] - Orders created at or before
+ * @returns {Promise<Array<{currency, orders, totalPrice, subtotalPrice, totalTax, totalDiscounts, totalShipping}>>}
+ */
+export async function getRevenueSummary(filters = {}) {
+    const groups = await prisma.order.groupBy({
+        by: ["currency"],
+        where: orderFilter(filters),
+        _count: { _all: true },
+        _sum: {
+            totalPrice: true,
+            subtotalPrice: true,
+            totalTax: true,
+            totalDiscounts: true,
+            totalShipping: true,
+        },
+        orderBy: { currency: "asc" },
+    });
+
+    return groups.map(group => ({
+        currency: group.currency,
+        orders: group._count._all,
+        ...group._sum,
+    }));
+}
+
+/**
+ * Totals per day, week or month
+ * @param {object} [filters] - Same as getRevenueSummary, plus `period` ("day" | "week" | "month")
+ * @returns {Promise<Array<{period: Date, currency: string, orders: number, totalPrice}>>}
+ */
+export async function getRevenueByPeriod({ period = "day", ...filters } = {}) {
+    if (!PERIODS.includes(period)) {
+        throw new Error(`Invalid period "${period}". Use one of: ${PERIODS.join(", ")}`);
+    }
+
+    return prisma.$queryRaw`
+        SELECT date_trunc(${period}, o."createdAt") AS "period",
+               o."currency",
+               count(*)::int AS "orders",
+               sum(o."totalPrice") AS "totalPrice"
+        FROM "Order" o
+        WHERE ${orderFilterSql(filters)}
+        GROUP BY 1, 2
+        ORDER BY 1, 2
+    `;
+}
+
+/**
+ * Best selling products by net revenue (discounts applied, refunded units removed)
+ * @param {object} [filters] - Same as getRevenueSummary, plus `limit` (default 10)
+ * @returns {Promise<Array<{shopifyProductId, name, currency, units, revenue}>>}
+ */
+export async function getTopProducts({ limit = 10, ...filters } = {}) {
+    return prisma.$queryRaw`
+        SELECT i."shopifyProductId",
+               max(i."name") AS "name",
+               o."currency",
+               sum(i."quantity" - i."refundedQuantity")::int AS "units",
+               sum(coalesce(i."discountedUnitPrice", i."price") * (i."quantity" - i."refundedQuantity")) AS "revenue"
+        FROM "PurchasedItem" i
+        JOIN "Order" o ON o."id" = i."orderId"
+        WHERE ${orderFilterSql(filters)} AND NOT i."refunded"
+        GROUP BY i."shopifyProductId", o."currency"
+        ORDER BY "revenue" DESC
+        LIMIT ${Number(limit)}
+    `;
+}
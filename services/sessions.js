@@ -0,0 +1,70 @@
+import { Session } from "@shopify/shopify-api";
+import prisma from "../db.js";
+
+/**
+ * Prisma-backed storage for Shopify OAuth sessions
+ * (the parts of Shopify's SessionStorage contract the app uses)
+ */
+
+function toSession(record) {
+    return new Session({
+        id: record.id,
+        shop: record.shop,
+        state: record.state || "",
+        isOnline: record.isOnline,
+        scope: record.scope || undefined,
+        expires: record.expires || undefined,
+        accessToken: record.accessToken,
+    });
+}
+
+/**
+ * Create or update a session
+ * @param {Session} session - Session returned by shopify.auth.callback
+ * @returns {Promise<boolean>}
+ */
+export async function storeSession(session) {
+    const data = {
+        shop: session.shop,
+        state: session.state || null,
+        isOnline: session.isOnline,
+        scope: session.scope || null,
+        expires: session.expires || null,
+        accessToken: session.accessToken,
+    };
+
+    await prisma.session.upsert({
+        where: { id: session.id },
+        update: data,
+        create: { id: session.id, ...data },
+    });
+
+    return true;
+}
+
+/**
+ * Delete a session by ID
+ * @param {string} id - Session ID
+ * @returns {Promise<boolean>}
+ */
+export async function deleteSession(id) {
+    await prisma.session.deleteMany({ where: { id } });
+    return true;
+}
+
+/**
+ * Load every offline session (one per installed shop)
+ * @returns {Promise<Session[]>}
+ */
+export async function loadOfflineSessions() {
+    const records = await prisma.session.findMany({ where: { isOnline: false } });
+    return records.map(toSession);
+}
+
+/**
+ * Get the raw session row (includes install/update dates)
+ * @param {string} id - Session ID
+ */
+export async function getSessionRecord(id) {
+    return prisma.session.findUnique({ where: { id } });
+}
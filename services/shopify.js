@@ -1,5 +1,8 @@
 import "@shopify/shopify-api/adapters/node";
 import { shopifyApi, ApiVersion } from "@shopify/shopify-api";
+import { isOwnershipRevoked, findLocalPurchase, toNumericId } from "./orders.js";
+import { storeSession, deleteSession, loadOfflineSessions } from "./sessions.js";
+import { withRestThrottling, withGraphqlThrottling } from "./throttling.js";
 
 // Initialize Shopify API
 const shopify = shopifyApi({
@@ -13,6 +16,7 @@ const shopify = shopifyApi({
         "read_metaobjects",
         "write_metaobjects",
         "read_orders",
+        "read_all_orders", // Orders older than 60 days (scripts/backfill-orders.js); must be requested in the Partner Dashboard
         "read_customers"
     ],
     hostName: process.env.HOST || "localhost:3000",
@@ -21,54 +25,133 @@ const shopify = shopifyApi({
     isEmbeddedApp: false,
 });
 
-// Store for access tokens (in production, use database)
-let accessToken = null;
+// Offline sessions per shop domain (persisted in the Session table, cached here)
+const sessionsByShop = new Map();
 
 /**
- * Get the current access token
+ * Default shop for requests that don't identify one
  */
-export function getAccessToken() {
-    return accessToken;
+export function getDefaultShop() {
+    return process.env.SHOPIFY_STORE_DOMAIN;
 }
 
 /**
- * Set the access token (called after OAuth callback)
+ * Load the stored offline sessions of every installed shop (called at boot)
+ * @returns {Promise<Session[]>}
  */
-export function setAccessToken(token) {
-    accessToken = token;
+export async function loadStoredSessions() {
+    const sessions = await loadOfflineSessions();
+    sessionsByShop.clear();
+    for (const session of sessions) {
+        sessionsByShop.set(session.shop, session);
+    }
+    return sessions;
+}
+
+/**
+ * Persist a session (called after OAuth callback)
+ * @param {Session} session - Session returned by shopify.auth.callback
+ */
+export async function saveSession(session) {
+    await storeSession(session);
+    if (!session.isOnline) sessionsByShop.set(session.shop, session);
+}
+
+/**
+ * Forget a shop's offline session (after uninstall/shop redact)
+ * @param {string} shop - Shop domain
+ */
+export async function removeSession(shop) {
+    await deleteSession(shopify.session.getOfflineId(shop));
+    sessionsByShop.delete(shop);
+}
+
+/**
+ * Get the access token of a shop
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
+ */
+export function getAccessToken(shop) {
+    return sessionsByShop.get(shop || getDefaultShop())?.accessToken || null;
+}
+
+/**
+ * Whether a query carries a valid app proxy signature (HMAC of the other
+ * parameters with the app secret, added by Shopify when it forwards the request)
+ * @param {object} query - Request query
+ * @returns {Promise<boolean>}
+ */
+async function isSignedAppProxyQuery(query) {
+    try {
+        return await shopify.utils.validateHmac(query, { signator: "appProxy" });
+    } catch {
+        // Missing signature or expired timestamp
+        return false;
+    }
 }
 
 /**
- * Create REST client for Shopify API calls
+ * Resolve the shop a request belongs to: the `shop` of a signed app proxy query,
+ * limited to shops with a stored session. Falls back to the default shop, so an
+ * unsigned `shop` parameter can't point a request at another store's data.
+ * @param {object} req - Express request
+ * @returns {Promise<string>} Shop domain
  */
+export async function resolveShop(req) {
+    const shop = req.query?.shop && shopify.utils.sanitizeShop(String(req.query.shop));
+    if (shop && sessionsByShop.has(shop) && await isSignedAppProxyQuery(req.query)) {
+        return shop;
+    }
+
+    return getDefaultShop();
+}
+
 /**
- * Create REST client for Shopify API calls
+ * Session used by API clients: the shop's stored OAuth session,
+ * or the env token as fallback for the default shop
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  */
-function getRestClient() {
-    const token = accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
+function getClientSession(shop) {
+    shop = shop || getDefaultShop();
+    const token = sessionsByShop.get(shop)?.accessToken
+        || (shop === getDefaultShop() ? process.env.SHOPIFY_ACCESS_TOKEN : null);
 
     if (!token) {
-        throw new Error("No access token available. Please complete OAuth first.");
+        throw new Error(`No access token available for ${shop}. Please complete OAuth first.`);
     }
 
+    return { shop, accessToken: token };
+}
+
+/**
+ * Create REST client for Shopify API calls (rate-limit aware)
+ * @param {string} [shop] - Shop domain
+ */
+function getRestClient(shop) {
+    const session = getClientSession(shop);
+
     console.log("🛒 Making Shopify Request:");
-    console.log("   Shop:", process.env.SHOPIFY_STORE_DOMAIN);
-    console.log("   Token:", token.substring(0, 10) + "..." + token.slice(-4));
+    console.log("   Shop:", session.shop);
+    console.log("   Token:", session.accessToken.substring(0, 10) + "..." + session.accessToken.slice(-4));
 
-    return new shopify.clients.Rest({
-        session: {
-            shop: process.env.SHOPIFY_STORE_DOMAIN,
-            accessToken: token,
-        },
-    });
+    return withRestThrottling(new shopify.clients.Rest({ session }), session.shop);
+}
+
+/**
+ * Create GraphQL client for Shopify Admin API calls (rate-limit aware)
+ * @param {string} [shop] - Shop domain
+ */
+function getGraphqlClient(shop) {
+    const session = getClientSession(shop);
+    return withGraphqlThrottling(new shopify.clients.Graphql({ session }), session.shop);
 }
 
 /**
  * Get all metafields for a product
  * @param {string} productId - Shopify product ID
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  */
-export async function getProductMetafields(productId) {
-    const client = getRestClient();
+export async function getProductMetafields(productId, shop) {
+    const client = getRestClient(shop);
 
     const response = await client.get({
         path: `products/${productId}/metafields`,
@@ -85,11 +168,12 @@ export async function getProductMetafields(productId) {
  * @param {string} metafield.key - Metafield key
  * @param {string} metafield.value - Metafield value
  * @param {string} metafield.type - Metafield type (e.g., "single_line_text_field", "json", "number_integer")
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  */
-export async function setProductMetafield(productId, metafield) {
+export async function setProductMetafield(productId, metafield, shop) {
     console.log("📤 Setting Metafield:", JSON.stringify(metafield, null, 2));
 
-    const client = getRestClient();
+    const client = getRestClient(shop);
 
     const response = await client.post({
         path: `products/${productId}/metafields`,
@@ -112,9 +196,10 @@ export async function setProductMetafield(productId, metafield) {
  * Update an existing metafield
  * @param {string} metafieldId - Metafield ID
  * @param {object} metafield - Updated metafield data
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  */
-export async function updateMetafield(metafieldId, metafield) {
-    const client = getRestClient();
+export async function updateMetafield(metafieldId, metafield, shop) {
+    const client = getRestClient(shop);
 
     const response = await client.put({
         path: `metafields/${metafieldId}`,
@@ -132,9 +217,10 @@ export async function updateMetafield(metafieldId, metafield) {
 /**
  * Delete a metafield
  * @param {string} metafieldId - Metafield ID
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  */
-export async function deleteMetafield(metafieldId) {
-    const client = getRestClient();
+export async function deleteMetafield(metafieldId, shop) {
+    const client = getRestClient(shop);
 
     await client.delete({
         path: `metafields/${metafieldId}`,
@@ -146,9 +232,10 @@ export async function deleteMetafield(metafieldId) {
 /**
  * Get product by ID
  * @param {string} productId - Shopify product ID
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  */
-export async function getProduct(productId) {
-    const client = getRestClient();
+export async function getProduct(productId, shop) {
+    const client = getRestClient(shop);
 
     const response = await client.get({
         path: `products/${productId}`,
@@ -157,16 +244,37 @@ export async function getProduct(productId) {
     return response.body.product;
 }
 
+/**
+ * Get one page of orders
+ * @param {object} query - REST query (status, since_id, created_at_min...) or the nextPageQuery of a previous page
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
+ * @returns {Promise<{orders: Array, nextPageQuery?: object}>}
+ */
+export async function getOrdersPage(query, shop) {
+    const client = getRestClient(shop);
+
+    const response = await client.get({
+        path: "orders",
+        query,
+    });
+
+    return {
+        orders: response.body.orders,
+        nextPageQuery: response.pageInfo?.nextPage?.query,
+    };
+}
+
 /**
  * Set multiple metafields for a product at once
  * @param {string} productId - Shopify product ID
  * @param {array} metafields - Array of metafield objects
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  */
-export async function setProductMetafields(productId, metafields) {
+export async function setProductMetafields(productId, metafields, shop) {
     const results = [];
 
     for (const metafield of metafields) {
-        const result = await setProductMetafield(productId, metafield);
+        const result = await setProductMetafield(productId, metafield, shop);
         results.push(result);
     }
 
@@ -179,18 +287,11 @@ export { shopify };
 /**
  * Upload a file to Shopify (Image or Video)
  * @param {Object} file - File object { name, size, type, buffer } or { url }
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
  * @returns {Promise<string>} - The Shopify File ID (gid://shopify/File/...)
  */
-export async function uploadFileToShopify(file) {
-    const token = accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
-    if (!token) throw new Error("No access token available");
-
-    const client = new shopify.clients.Graphql({
-        session: {
-            shop: process.env.SHOPIFY_STORE_DOMAIN,
-            accessToken: token,
-        },
-    });
+export async function uploadFileToShopify(file, shop) {
+    const client = getGraphqlClient(shop);
 
     // 1. Request Staged Upload URL
     // We use GraphQL for this as it's not available in REST
@@ -359,23 +460,80 @@ export async function uploadFileToShopify(file) {
     };
 }
 
+// Page sizes keep each query well under Shopify's 1000 point cost limit
+const ORDERS_PAGE_SIZE = 10;
+const LINE_ITEMS_PAGE_SIZE = 50;
+
+const LINE_ITEM_FIELDS = `
+    pageInfo {
+        hasNextPage
+        endCursor
+    }
+    edges {
+        node {
+            currentQuantity
+            product {
+                id
+            }
+            variant {
+                id
+            }
+        }
+    }
+`;
+
+/**
+ * Check an order's line items for a product, paging through large orders
+ * @param {object} client - GraphQL client
+ * @param {object} order - Order node with its first page of lineItems
+ * @param {string} productGid - Product GID
+ * @param {string} [variantGid] - Variant GID (any variant when omitted)
+ */
+async function orderContainsProduct(client, order, productGid, variantGid) {
+    const hasProduct = (lineItems) => lineItems.edges.some(item =>
+        item.node.product?.id === productGid
+        && (!variantGid || item.node.variant?.id === variantGid)
+        && item.node.currentQuantity > 0
+    );
+
+    let lineItems = order.lineItems;
+    if (hasProduct(lineItems)) return true;
+
+    const query = `
+        query orderLineItems($id: ID!, $cursor: String) {
+            order(id: $id) {
+                lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $cursor) {
+                    ${LINE_ITEM_FIELDS}
+                }
+            }
+        }
+    `;
+
+    while (lineItems.pageInfo.hasNextPage) {
+        const response = await client.request(query, {
+            variables: { id: order.id, cursor: lineItems.pageInfo.endCursor },
+        });
+        const data = response.body?.data || response.data;
+        lineItems = data.order.lineItems;
+        if (hasProduct(lineItems)) return true;
+    }
+
+    return false;
+}
+
 /**
  * Verify if a customer has purchased a specific product
+ * Local PurchasedItem rows are checked first; Shopify is queried (all orders,
+ * all line items) only when they don't match.
  * @param {string} customerId - Shopify Customer ID (numeric or GID)
  * @param {string} productId - Shopify Product ID (numeric or GID)
- * @returns {Promise<{verified: boolean, orderId?: string}>}
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
+ * @param {object} [options]
+ * @param {boolean} [options.localFirst=true] - Check local PurchasedItem rows before Shopify
+ * @param {string} [options.variantId] - Require a specific variant (numeric or GID)
+ * @returns {Promise<{verified: boolean, orderId?: string, purchasedAt?: Date, source?: string}>}
  */
-export async function verifyCustomerOwnsProduct(customerId, productId) {
-    const token = accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
-    if (!token) throw new Error("No access token available");
-
-    const client = new shopify.clients.Graphql({
-        session: {
-            shop: process.env.SHOPIFY_STORE_DOMAIN,
-            accessToken: token,
-        },
-    });
-
+export async function verifyCustomerOwnsProduct(customerId, productId, shop, { localFirst = true, variantId } = {}) {
     // Ensure IDs are in GID format
     const customerGid = customerId.toString().startsWith("gid://")
         ? customerId
@@ -385,56 +543,86 @@ export async function verifyCustomerOwnsProduct(customerId, productId) {
         ? productId
         : `gid://shopify/Product/${productId}`;
 
-    console.log(`🔍 Verifying ownership: Customer ${customerGid} -> Product ${productGid}`);
+    const variantGid = variantId
+        ? `gid://shopify/ProductVariant/${toNumericId(variantId)}`
+        : undefined;
 
-    const query = `
-        query customerOrders($id: ID!) {
-            customer(id: $id) {
-                orders(first: 50, reverse: true) {
-                    edges {
-                        node {
-                            id
-                            lineItems(first: 50) {
-                                edges {
-                                    node {
-                                        product {
-                                            id
-                                        }
-                                    }
+    console.log(`🔍 Verifying ownership: Customer ${customerGid} -> Product ${productGid}${variantGid ? ` (${variantGid})` : ""}`);
+
+    try {
+        // 1. Local orders (populated by webhooks)
+        const localPurchase = localFirst ? await findLocalPurchase(customerGid, productGid, { variantId }) : null;
+        if (localPurchase) {
+            console.log(`✅ Verification successful! Found locally in order ${localPurchase.orderId}`);
+            return {
+                verified: true,
+                orderId: `gid://shopify/Order/${localPurchase.orderId}`,
+                purchasedAt: localPurchase.purchasedAt,
+                source: "local",
+            };
+        }
+
+        // 2. Walk every order of the customer in Shopify
+        const client = getGraphqlClient(shop);
+
+        const query = `
+            query customerOrders($id: ID!, $cursor: String) {
+                customer(id: $id) {
+                    orders(first: ${ORDERS_PAGE_SIZE}, after: $cursor, reverse: true) {
+                        pageInfo {
+                            hasNextPage
+                            endCursor
+                        }
+                        edges {
+                            node {
+                                id
+                                processedAt
+                                cancelledAt
+                                lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {
+                                    ${LINE_ITEM_FIELDS}
                                 }
                             }
                         }
                     }
                 }
             }
-        }
-    `;
+        `;
 
-    try {
-        const response = await client.request(query, {
-            variables: { id: customerGid },
-        });
+        let cursor = null;
+        do {
+            const response = await client.request(query, {
+                variables: { id: customerGid, cursor },
+            });
 
-        const data = response.body?.data || response.data;
-
-        if (!data?.customer) {
-            console.log("❌ Customer not found");
-            return { verified: false };
-        }
+            const data = response.body?.data || response.data;
 
-        const orders = data.customer.orders.edges;
-
-        for (const order of orders) {
-            const lineItems = order.node.lineItems.edges;
-            const hasProduct = lineItems.some(item => item.node.product?.id === productGid);
+            if (!data?.customer) {
+                console.log("❌ Customer not found");
+                return { verified: false };
+            }
 
-            if (hasProduct) {
-                console.log(`✅ Verification successful! Found in order ${order.node.id}`);
-                return { verified: true, orderId: order.node.id };
+            const { edges, pageInfo } = data.customer.orders;
+
+            for (const { node: order } of edges) {
+                // Cancelled orders and fully refunded/removed line items no longer grant access
+                if (order.cancelledAt) continue;
+
+                if (await orderContainsProduct(client, order, productGid, variantGid)
+                    && !(await isOwnershipRevoked(order.id, productGid, variantId))) {
+                    console.log(`✅ Verification successful! Found in order ${order.id}`);
+                    return {
+                        verified: true,
+                        orderId: order.id,
+                        purchasedAt: new Date(order.processedAt),
+                        source: "shopify",
+                    };
+                }
             }
-        }
 
-        console.log("❌ Product not found in customer's recent orders");
+            cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+        } while (cursor);
+
+        console.log("❌ Product not found in customer's orders");
         return { verified: false };
 
     } catch (error) {
@@ -447,9 +635,11 @@ export async function verifyCustomerOwnsProduct(customerId, productId) {
  * Verify if an order contains a specific product
  * @param {string} orderId - Shopify Order ID
  * @param {string} productId - Shopify Product ID
+ * @param {string} [shop] - Shop domain (defaults to SHOPIFY_STORE_DOMAIN)
+ * @param {string} [variantId] - Shopify Variant ID (any variant when omitted)
  */
-export async function verifyOrderContainsProduct(orderId, productId) {
-    const client = getRestClient();
+export async function verifyOrderContainsProduct(orderId, productId, shop, variantId) {
+    const client = getRestClient(shop);
 
     try {
         const response = await client.get({
@@ -457,11 +647,15 @@ export async function verifyOrderContainsProduct(orderId, productId) {
         });
 
         const order = response.body.order;
-        if (!order) return false;
+        if (!order || order.cancelled_at) return false;
 
-        // Check if product exists in line items
+        // Check if product exists in line items (and wasn't refunded or removed)
         // Note: product_id is a number in REST
-        const hasProduct = order.line_items.some(item => String(item.product_id) === String(productId));
+        const hasProduct = order.line_items.some(item =>
+            String(item.product_id) === String(productId)
+            && (!variantId || String(item.variant_id) === toNumericId(variantId))
+            && (item.current_quantity ?? item.quantity) > 0
+        ) && !(await isOwnershipRevoked(orderId, productId, variantId));
 
         console.log(`🔍 Order Verification: Order ${orderId} contains Product ${productId}? ${hasProduct}`);
         return hasProduct;
@@ -0,0 +1,60 @@
+import crypto from "crypto";
+
+/**
+ * HMAC signatures rendered by the theme with SHOPIFY_CUSTOMER_SECRET, e.g.
+ *   {{ customer.id | hmac_sha256: settings.customer_secret }}
+ *   {{ order.id | hmac_sha256: settings.customer_secret }} (order status page)
+ */
+
+function sign(value) {
+    return crypto.createHmac("sha256", process.env.SHOPIFY_CUSTOMER_SECRET)
+        .update(String(value))
+        .digest("hex");
+}
+
+function matches(value, signature) {
+    if (!signature) return false;
+
+    const expected = Buffer.from(sign(value));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Verify the HMAC signature of a customer ID from Liquid
+ * @param {string} customerId - Shopify Customer ID
+ * @param {string} signature - Hex HMAC-SHA256 of the customer ID
+ * @param {object} [options]
+ * @param {boolean} [options.required=false] - Fail (instead of skipping) when SHOPIFY_CUSTOMER_SECRET is not set
+ * @returns {boolean}
+ */
+export function verifyShopifySignature(customerId, signature, { required = false } = {}) {
+    // If no secret is set, we can't verify.
+    // WARN: In production, this should be enforced.
+    if (!process.env.SHOPIFY_CUSTOMER_SECRET) {
+        if (required) {
+            console.error("❌ SHOPIFY_CUSTOMER_SECRET not set. Rejecting signed request.");
+            return false;
+        }
+        console.warn("⚠️ SHOPIFY_CUSTOMER_SECRET not set. Skipping signature verification.");
+        return true;
+    }
+
+    return matches(customerId, signature);
+}
+
+/**
+ * Verify the HMAC signature of an order ID from the order status page
+ * Always required: without SHOPIFY_CUSTOMER_SECRET every signature is rejected.
+ * @param {string} orderId - Shopify Order ID
+ * @param {string} signature - Hex HMAC-SHA256 of the order ID
+ * @returns {boolean}
+ */
+export function verifyOrderSignature(orderId, signature) {
+    if (!process.env.SHOPIFY_CUSTOMER_SECRET) {
+        console.error("❌ SHOPIFY_CUSTOMER_SECRET not set. Rejecting order signature.");
+        return false;
+    }
+
+    return matches(orderId, signature);
+}
@@ -0,0 +1,232 @@
+import {
+    HttpThrottlingError,
+    HttpRetriableError,
+    GraphqlQueryError,
+} from "@shopify/shopify-api";
+
+/**
+ * Rate-limit aware wrappers around Shopify's REST and GraphQL clients.
+ * Requests are queued per shop, delayed when the leaky bucket (REST) or the
+ * query cost budget (GraphQL) is nearly exhausted, and retried with backoff
+ * on 429 / THROTTLED / 5xx responses.
+ */
+
+const MAX_RETRIES = Number(process.env.SHOPIFY_MAX_RETRIES || 5);
+const MAX_CONCURRENCY = Number(process.env.SHOPIFY_MAX_CONCURRENCY || 4);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+const DEFAULT_QUERY_COST = 50;
+
+// Per-shop queue, bucket state and metrics
+const shops = new Map();
+// Last requested cost per GraphQL query, used to wait before sending it again
+const queryCosts = new Map();
+
+function getShopState(shop) {
+    if (!shops.has(shop)) {
+        shops.set(shop, {
+            active: 0,
+            queue: [],
+            rest: null, // { used, limit, at }
+            graphql: null, // { available, maximum, restoreRate, at }
+            metrics: {
+                requests: 0,
+                throttled: 0,
+                retries: 0,
+                failures: 0,
+                delayedMs: 0,
+                lastThrottledAt: null,
+            },
+        });
+    }
+    return shops.get(shop);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+    const delay = BASE_DELAY_MS * 2 ** attempt + Math.random() * BASE_DELAY_MS;
+    return Math.min(delay, MAX_DELAY_MS);
+}
+
+function headerValue(headers, name) {
+    const value = headers?.[name];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Run `task` once a concurrency slot for the shop is free
+ */
+function schedule(shop, task) {
+    const state = getShopState(shop);
+
+    return new Promise((resolve, reject) => {
+        state.queue.push({ task, resolve, reject });
+        drain(state);
+    });
+}
+
+function drain(state) {
+    while (state.active < MAX_CONCURRENCY && state.queue.length > 0) {
+        const { task, resolve, reject } = state.queue.shift();
+        state.active++;
+        task()
+            .then(resolve, reject)
+            .finally(() => {
+                state.active--;
+                drain(state);
+            });
+    }
+}
+
+/**
+ * How long to wait before the next request so it won't be throttled
+ */
+function preflightDelay(state, kind, query) {
+    const now = Date.now();
+
+    if (kind === "rest" && state.rest) {
+        // Bucket leaks limit/20 requests per second (2/s standard, 20/s Plus)
+        const leakPerMs = state.rest.limit / 20 / 1000;
+        const used = Math.max(0, state.rest.used - (now - state.rest.at) * leakPerMs);
+        const headroom = 2;
+        if (used > state.rest.limit - headroom) {
+            return (used - (state.rest.limit - headroom)) / leakPerMs;
+        }
+    }
+
+    if (kind === "graphql" && state.graphql) {
+        const { maximum, restoreRate } = state.graphql;
+        const available = Math.min(maximum, state.graphql.available + (now - state.graphql.at) / 1000 * restoreRate);
+        const cost = queryCosts.get(query) || DEFAULT_QUERY_COST;
+        if (available < cost) {
+            return (cost - available) / restoreRate * 1000;
+        }
+    }
+
+    return 0;
+}
+
+function recordRestLimit(state, headers) {
+    const callLimit = headerValue(headers, "X-Shopify-Shop-Api-Call-Limit");
+    if (!callLimit) return;
+
+    const [used, limit] = callLimit.split("/").map(Number);
+    if (limit) state.rest = { used, limit, at: Date.now() };
+}
+
+function recordGraphqlCost(state, query, cost) {
+    if (!cost?.throttleStatus) return;
+
+    const { maximumAvailable, currentlyAvailable, restoreRate } = cost.throttleStatus;
+    state.graphql = {
+        available: currentlyAvailable,
+        maximum: maximumAvailable,
+        restoreRate,
+        at: Date.now(),
+    };
+    if (cost.requestedQueryCost) queryCosts.set(query, cost.requestedQueryCost);
+}
+
+function isGraphqlThrottled(error) {
+    return error instanceof GraphqlQueryError
+        && error.body?.errors?.graphQLErrors?.some(e => e.extensions?.code === "THROTTLED");
+}
+
+/**
+ * Execute a request with preflight delay and retries
+ * @param {string} shop - Shop domain
+ * @param {"rest"|"graphql"} kind - API the request goes to
+ * @param {Function} send - async () => response
+ * @param {string} [query] - GraphQL query (for cost tracking)
+ */
+async function execute(shop, kind, send, query) {
+    const state = getShopState(shop);
+
+    return schedule(shop, async () => {
+        for (let attempt = 0; ; attempt++) {
+            const wait = preflightDelay(state, kind, query);
+            if (wait > 0) {
+                state.metrics.delayedMs += Math.round(wait);
+                await sleep(wait);
+            }
+
+            state.metrics.requests++;
+
+            try {
+                const response = await send();
+                if (kind === "rest") recordRestLimit(state, response.headers);
+                else recordGraphqlCost(state, query, response.extensions?.cost);
+                return response;
+            } catch (error) {
+                const graphqlThrottled = isGraphqlThrottled(error);
+                const throttled = error instanceof HttpThrottlingError || graphqlThrottled;
+
+                if (throttled) {
+                    state.metrics.throttled++;
+                    state.metrics.lastThrottledAt = new Date();
+                    if (graphqlThrottled) recordGraphqlCost(state, query, error.body?.extensions?.cost);
+                }
+
+                if (!(throttled || error instanceof HttpRetriableError) || attempt >= MAX_RETRIES) {
+                    state.metrics.failures++;
+                    throw error;
+                }
+
+                // Prefer Shopify's hints: Retry-After (REST) or the restore rate of the cost budget (GraphQL)
+                const retryAfter = error.response?.retryAfter;
+                let delay = backoffDelay(attempt);
+                if (retryAfter) delay = retryAfter * 1000;
+                else if (graphqlThrottled && state.graphql) delay = preflightDelay(state, kind, query) || delay;
+                console.warn(`⏳ Shopify ${kind} request for ${shop} ${throttled ? "throttled" : "failed"}. Retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+
+                state.metrics.retries++;
+                state.metrics.delayedMs += Math.round(delay);
+                await sleep(delay);
+            }
+        }
+    });
+}
+
+/**
+ * Wrap a shopify.clients.Rest instance
+ * @param {object} client - REST client
+ * @param {string} shop - Shop domain
+ */
+export function withRestThrottling(client, shop) {
+    return {
+        get: (params) => execute(shop, "rest", () => client.get(params)),
+        post: (params) => execute(shop, "rest", () => client.post(params)),
+        put: (params) => execute(shop, "rest", () => client.put(params)),
+        delete: (params) => execute(shop, "rest", () => client.delete(params)),
+    };
+}
+
+/**
+ * Wrap a shopify.clients.Graphql instance
+ * @param {object} client - GraphQL client
+ * @param {string} shop - Shop domain
+ */
+export function withGraphqlThrottling(client, shop) {
+    return {
+        request: (query, options) => execute(shop, "graphql", () => client.request(query, options), query),
+    };
+}
+
+/**
+ * Throttling metrics per shop
+ * @returns {object} { [shop]: { requests, throttled, retries, failures, delayedMs, queued, active, rest, graphql } }
+ */
+export function getThrottleMetrics() {
+    const result = {};
+    for (const [shop, state] of shops) {
+        result[shop] = {
+            ...state.metrics,
+            queued: state.queue.length,
+            active: state.active,
+            rest: state.rest,
+            graphql: state.graphql,
+        };
+    }
+    return result;
+}